@@ -0,0 +1,83 @@
+// src/cache/adapters/fileAdapter.js
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * File-system cache storage: one JSON file per entry, so the cache survives restarts.
+ */
+class FileAdapter {
+  /**
+   * @param {String} directory - Directory holding the cache files (created if missing)
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+    this.ready = fs.mkdir(this.directory, { recursive: true });
+  }
+
+  /**
+   * Map a cache key to a file name that is safe on every file system
+   * @param {String} key - Cache key
+   * @returns {String} - File path
+   */
+  filePath(key) {
+    const name = crypto.createHash('sha256').update(key).digest('hex');
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  async readFile(file) {
+    try {
+      return JSON.parse(await fs.readFile(file, 'utf8'));
+    } catch (error) {
+      // Missing or half-written files are treated as cache misses
+      if (error.code === 'ENOENT' || error instanceof SyntaxError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async get(key) {
+    await this.ready;
+    const stored = await this.readFile(this.filePath(key));
+    return stored && stored.key === key ? stored.entry : null;
+  }
+
+  async set(key, entry) {
+    await this.ready;
+    const file = this.filePath(key);
+    // Write to a temporary file and rename it so readers never see a partial entry
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify({ key, entry }));
+    await fs.rename(tempFile, file);
+  }
+
+  async delete(key) {
+    await this.ready;
+    await fs.rm(this.filePath(key), { force: true });
+  }
+
+  async keys() {
+    await this.ready;
+    const keys = [];
+    for (const name of await fs.readdir(this.directory)) {
+      if (!name.endsWith('.json')) continue;
+      const stored = await this.readFile(path.join(this.directory, name));
+      if (stored) keys.push(stored.key);
+    }
+    return keys;
+  }
+
+  async clear() {
+    await this.ready;
+    for (const name of await fs.readdir(this.directory)) {
+      if (name.endsWith('.json') || name.endsWith('.tmp')) {
+        await fs.rm(path.join(this.directory, name), { force: true });
+      }
+    }
+  }
+
+  async close() {}
+}
+
+module.exports = FileAdapter;
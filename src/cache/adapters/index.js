@@ -0,0 +1,51 @@
+// src/cache/adapters/index.js
+const MemoryAdapter = require('./memoryAdapter');
+const FileAdapter = require('./fileAdapter');
+const RedisAdapter = require('./redisAdapter');
+
+/**
+ * Create the cache storage adapter selected by the environment.
+ *
+ * Every adapter implements the same async interface:
+ * get(key), set(key, entry), delete(key), keys(), clear() and close(),
+ * where an entry is { data, expiryTime, createdAt, pinned }.
+ *
+ * @param {Object} env - Environment variables
+ * @returns {Object} - Storage adapter
+ */
+function createCacheAdapter(env = process.env) {
+  // Only the in-process cache is bounded; Redis has its own memory limits and eviction
+  const memoryLimits = {
+    maxEntries: parseInt(env.CACHE_MAX_ENTRIES, 10) || 10000,
+    maxBytes: parseInt(env.CACHE_MAX_BYTES, 10) || 256 * 1024 * 1024 // 256 MB
+  };
+
+  // A snapshot is loaded into memory, so it never mixes with a shared cache
+  if ((env.DATA_SOURCE || '').startsWith('snapshot:')) {
+    return new MemoryAdapter(memoryLimits);
+  }
+
+  const backend = (env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryAdapter(memoryLimits);
+    case 'file':
+      return new FileAdapter(env.CACHE_DIR || '.cache/water-features');
+    case 'redis':
+      return new RedisAdapter(
+        env.CACHE_REDIS_URL || 'redis://localhost:6379',
+        env.CACHE_KEY_PREFIX,
+        parseInt(env.CACHE_STALE_GRACE, 10) || 24 * 60 * 60 * 1000
+      );
+    default:
+      throw new Error(`Unknown cache backend: ${env.CACHE_BACKEND}`);
+  }
+}
+
+module.exports = {
+  MemoryAdapter,
+  FileAdapter,
+  RedisAdapter,
+  createCacheAdapter
+};
@@ -0,0 +1,134 @@
+// src/cache/adapters/memoryAdapter.js
+
+/**
+ * In-process cache storage. Entries are lost when the process exits.
+ *
+ * Bounded by a number of entries and a byte budget: when either is exceeded, the
+ * least recently used entries are evicted. Pinned entries (type datasets, snapshot
+ * contents) are never evicted and don't count towards the limits.
+ * Sizes are measured as serialized JSON, so they approximate the memory used.
+ */
+class MemoryAdapter {
+  /**
+   * @param {Object} limits - maxEntries and maxBytes (optional, unlimited by default)
+   */
+  constructor({ maxEntries = Infinity, maxBytes = Infinity } = {}) {
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    // Evictable entries in least recently used order, as { entry, size }
+    this.entries = new Map();
+    this.pinned = new Map();
+    this.bytes = 0;
+    this.pinnedBytes = 0;
+    this.evictions = 0;
+    this.evictedBytes = 0;
+    // Called with the key of every evicted entry; set by the CacheManager
+    this.onEvict = null;
+  }
+
+  async get(key) {
+    if (this.pinned.has(key)) {
+      return this.pinned.get(key).entry;
+    }
+    if (!this.entries.has(key)) {
+      return null;
+    }
+    // Move the entry to the most recently used end
+    const stored = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, stored);
+    return stored.entry;
+  }
+
+  async set(key, entry) {
+    this.remove(key);
+
+    const size = Buffer.byteLength(JSON.stringify(entry));
+    if (entry.pinned) {
+      this.pinned.set(key, { entry, size });
+      this.pinnedBytes += size;
+      return;
+    }
+    // An entry larger than the whole budget would only push out everything else
+    if (size > this.maxBytes) {
+      this.countEviction(key, size);
+      return;
+    }
+    this.entries.set(key, { entry, size });
+    this.bytes += size;
+    this.evict();
+  }
+
+  async delete(key) {
+    this.remove(key);
+  }
+
+  async keys() {
+    return [...this.pinned.keys(), ...this.entries.keys()];
+  }
+
+  async clear() {
+    this.entries.clear();
+    this.pinned.clear();
+    this.bytes = 0;
+    this.pinnedBytes = 0;
+  }
+
+  async close() {}
+
+  /**
+   * Remove an entry and release its size
+   * @param {String} key - Cache key
+   */
+  remove(key) {
+    if (this.pinned.has(key)) {
+      this.pinnedBytes -= this.pinned.get(key).size;
+      this.pinned.delete(key);
+    }
+    if (this.entries.has(key)) {
+      this.bytes -= this.entries.get(key).size;
+      this.entries.delete(key);
+    }
+  }
+
+  /**
+   * Evict least recently used entries until both limits are met
+   */
+  evict() {
+    while (this.entries.size > this.maxEntries || this.bytes > this.maxBytes) {
+      const [key, { size }] = this.entries.entries().next().value;
+      this.remove(key);
+      this.countEviction(key, size);
+    }
+  }
+
+  /**
+   * Count an evicted entry
+   * @param {String} key - Cache key
+   * @param {Number} size - Size in bytes
+   */
+  countEviction(key, size) {
+    this.evictions++;
+    this.evictedBytes += size;
+    if (this.onEvict) this.onEvict(key);
+  }
+
+  /**
+   * Sizes, limits and evictions since the process started
+   * @returns {Object} - { entries, bytes, pinnedEntries, pinnedBytes, maxEntries, maxBytes, evictions, evictedBytes }
+   */
+  stats() {
+    return {
+      entries: this.entries.size,
+      bytes: this.bytes,
+      pinnedEntries: this.pinned.size,
+      pinnedBytes: this.pinnedBytes,
+      maxEntries: Number.isFinite(this.maxEntries) ? this.maxEntries : null,
+      maxBytes: Number.isFinite(this.maxBytes) ? this.maxBytes : null,
+      evictions: this.evictions,
+      evictedBytes: this.evictedBytes
+    };
+  }
+}
+
+module.exports = MemoryAdapter;
@@ -0,0 +1,84 @@
+// src/cache/adapters/redisAdapter.js
+const { createClient } = require('redis');
+
+/**
+ * Redis cache storage, shared by every replica pointed at the same server.
+ * Works with any server speaking the Redis protocol.
+ */
+class RedisAdapter {
+  /**
+   * @param {String} url - Redis URL (e.g. redis://localhost:6379)
+   * @param {String} prefix - Prefix for every key written by this service
+   * @param {Number} staleGracePeriod - How long Redis keeps entries past their expiry time, in milliseconds
+   */
+  constructor(url, prefix = 'bwf:', staleGracePeriod = 0) {
+    this.prefix = prefix;
+    this.staleGracePeriod = staleGracePeriod;
+    this.client = createClient({ url });
+    this.client.on('error', (error) => {
+      console.error('Redis cache error:', error);
+    });
+    this.connection = null;
+  }
+
+  /**
+   * Connect on first use
+   * @returns {Object} - Connected client
+   */
+  async connect() {
+    if (!this.connection) {
+      this.connection = this.client.connect().catch((error) => {
+        this.connection = null;
+        throw error;
+      });
+    }
+    await this.connection;
+    return this.client;
+  }
+
+  async get(key) {
+    const client = await this.connect();
+    const value = await client.get(this.prefix + key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  async set(key, entry) {
+    const client = await this.connect();
+    const options = {};
+    // Let Redis expire the entry too (after the stale grace period), so abandoned keys don't pile up
+    if (entry.expiryTime !== null) {
+      options.PX = Math.max(1, Math.ceil(entry.expiryTime + this.staleGracePeriod - Date.now()));
+    }
+    await client.set(this.prefix + key, JSON.stringify(entry), options);
+  }
+
+  async delete(key) {
+    const client = await this.connect();
+    await client.del(this.prefix + key);
+  }
+
+  async keys() {
+    const client = await this.connect();
+    const keys = [];
+    for await (const key of client.scanIterator({ MATCH: `${this.prefix}*`, COUNT: 100 })) {
+      keys.push(key.slice(this.prefix.length));
+    }
+    return keys;
+  }
+
+  async clear() {
+    const client = await this.connect();
+    for (const key of await this.keys()) {
+      await client.del(this.prefix + key);
+    }
+  }
+
+  async close() {
+    if (this.connection) {
+      await this.client.quit();
+      this.connection = null;
+    }
+  }
+}
+
+module.exports = RedisAdapter;
@@ -1,22 +1,67 @@
 // src/utils/cacheManager.js
+const { createHash } = require('crypto');
+const { createCacheAdapter } = require('./adapters');
+
+const COUNTERS = ['hits', 'misses', 'staleHits', 'evictions'];
+
 class CacheManager {
-    constructor() {
-      this.cache = new Map();
-      this.queryCache = new Map();
+    /**
+     * @param {Object} adapter - Storage adapter (defaults to the one selected by CACHE_BACKEND)
+     */
+    constructor(adapter = createCacheAdapter()) {
+      this.storage = adapter;
       this.defaultTTL = parseInt(process.env.CACHE_TTL, 10)
+      // Expired entries are kept this long as a fallback for when the endpoint is down
+      this.staleGracePeriod = parseInt(process.env.CACHE_STALE_GRACE, 10) || 24 * 60 * 60 * 1000; // 24 hours
+      // Lookup and eviction counters per key family, since the process started
+      this.counters = new Map();
+      // Bounded adapters report the entries they evict
+      if ('onEvict' in this.storage) {
+        this.storage.onEvict = (key) => this.countLookup(key, 'evictions');
+      }
+    }
+
+    /**
+     * Family of a cache key: its upper-case prefix (ALL, FEATURE, LABELS, QUERY, RIVER, ...).
+     * Keys without a prefix are query hashes written by older versions.
+     * @param {String} key - Cache key
+     * @returns {String}
+     */
+    keyFamily(key) {
+      const match = /^([A-Z]+)[_:]/.exec(key);
+      return match ? match[1] : 'QUERY';
+    }
+
+    /**
+     * Count a cache lookup or eviction
+     * @param {String} key - Cache key
+     * @param {String} outcome - hits, misses, staleHits or evictions
+     */
+    countLookup(key, outcome) {
+      const family = this.keyFamily(key);
+      if (!this.counters.has(family)) {
+        this.counters.set(family, Object.fromEntries(COUNTERS.map(counter => [counter, 0])));
+      }
+      this.counters.get(family)[outcome]++;
     }
   
     /**
      * Set a cache entry with optional TTL
      * @param {String} key - Cache key
      * @param {*} data - Data to cache
-     * @param {Number} ttl - Time to live in milliseconds (optional)
+     * @param {Number} ttl - Time to live in milliseconds (optional, entries without a TTL never expire)
+     * @param {Object} options - pinned: true keeps the entry out of LRU eviction, for
+     *                           data the API can't work without (optional)
+     * @returns {*} The cached data
      */
-    set(key, data, ttl = this.defaultTTL) {
-      const expiryTime = Date.now() + ttl;
-      this.cache.set(key, {
+    async set(key, data, ttl = this.defaultTTL, { pinned = false } = {}) {
+      const createdAt = Date.now();
+      const expiryTime = Number.isFinite(ttl) ? createdAt + ttl : null;
+      await this.storage.set(key, {
         data,
-        expiryTime
+        expiryTime,
+        createdAt,
+        pinned
       });
       return data;
     }
@@ -26,21 +71,78 @@ class CacheManager {
      * @param {String} key - Cache key
      * @returns {*} Cached data or null if not found/expired
      */
-    get(key) {
-      if (!this.cache.has(key)) {
+    async get(key) {
+      const cacheEntry = await this.storage.get(key);
+      if (!cacheEntry) {
+        this.countLookup(key, 'misses');
         return null;
       }
-  
-      const cacheEntry = this.cache.get(key);
       
       // Check if entry has expired
-      if (Date.now() > cacheEntry.expiryTime) {
-        this.cache.delete(key);
+      if (this.isExpired(cacheEntry)) {
+        if (this.isPastGracePeriod(cacheEntry)) {
+          await this.storage.delete(key);
+        }
+        this.countLookup(key, 'misses');
         return null;
       }
   
+      this.countLookup(key, 'hits');
+      return cacheEntry.data;
+    }
+
+    /**
+     * Get a cache entry even if it has expired, as long as it is within the stale grace period
+     * @param {String} key - Cache key
+     * @returns {*} Cached data or null if not found
+     */
+    async getStale(key) {
+      const cacheEntry = await this.storage.get(key);
+      if (!cacheEntry || this.isPastGracePeriod(cacheEntry)) {
+        return null;
+      }
+      if (this.isExpired(cacheEntry)) {
+        this.countLookup(key, 'staleHits');
+      }
       return cacheEntry.data;
     }
+
+    /**
+     * Get a cache entry like get(), without counting the lookup. For status reports and
+     * probes, which would otherwise skew the hit ratios they report.
+     * @param {String} key - Cache key
+     * @returns {*} Cached data or null if not found/expired
+     */
+    async peek(key) {
+      const cacheEntry = await this.storage.get(key);
+      return cacheEntry && !this.isExpired(cacheEntry) ? cacheEntry.data : null;
+    }
+
+    /**
+     * Remove a single cache entry
+     * @param {String} key - Cache key
+     */
+    async delete(key) {
+      await this.storage.delete(key);
+    }
+
+    /**
+     * Check whether a stored entry has passed its expiry time
+     * @param {Object} cacheEntry - { data, expiryTime, createdAt }
+     * @returns {Boolean}
+     */
+    isExpired(cacheEntry, now = Date.now()) {
+      return cacheEntry.expiryTime !== null && now > cacheEntry.expiryTime;
+    }
+
+    /**
+     * Check whether an expired entry is too old to be served as a stale fallback
+     * @param {Object} cacheEntry - { data, expiryTime }
+     * @returns {Boolean}
+     */
+    isPastGracePeriod(cacheEntry, now = Date.now()) {
+      return cacheEntry.expiryTime !== null && now > cacheEntry.expiryTime + this.staleGracePeriod;
+    }
   
     /**
      * Cache the result of a SPARQL query with the query string as key
@@ -48,10 +150,17 @@ class CacheManager {
      * @param {*} data - Query result
      * @param {Number} ttl - Time to live in milliseconds (optional)
      */
-    cacheQuery(queryString, data, ttl = this.defaultTTL) {
-      // Create a hash of the query string to use as key
-      const queryKey = this.hashString(queryString);
-      return this.set(queryKey, data, ttl);
+    async cacheQuery(queryString, data, ttl = this.defaultTTL) {
+      return this.set(this.queryCacheKey(queryString), data, ttl);
+    }
+
+    /**
+     * Cache key of a SPARQL query result
+     * @param {String} queryString - SPARQL query string
+     * @returns {String}
+     */
+    queryCacheKey(queryString) {
+      return `QUERY:${this.hashString(queryString)}`;
     }
   
     /**
@@ -59,43 +168,141 @@ class CacheManager {
      * @param {String} queryString - SPARQL query string
      * @returns {*} Cached query result or null
      */
-    getCachedQuery(queryString) {
-      const queryKey = this.hashString(queryString);
-      return this.get(queryKey);
+    async getCachedQuery(queryString) {
+      return this.get(this.queryCacheKey(queryString));
+    }
+
+    /**
+     * Get a cached query result even if it has expired (within the stale grace period)
+     * @param {String} queryString - SPARQL query string
+     * @returns {*} Cached query result or null
+     */
+    async getStaleQuery(queryString) {
+      return this.getStale(this.queryCacheKey(queryString));
     }
   
     /**
-     * Simple string hashing function
+     * Hash a string for use in a cache key. SHA-256, so two different strings
+     * never share a key and return each other's data.
      * @param {String} str - String to hash
-     * @returns {String} - Hashed string
+     * @returns {String} - Hex digest
      */
     hashString(str) {
-      let hash = 0;
-      for (let i = 0; i < str.length; i++) {
-        const char = str.charCodeAt(i);
-        hash = ((hash << 5) - hash) + char;
-        hash = hash & hash; // Convert to 32bit integer
-      }
-      return hash.toString();
+      return createHash('sha256').update(str).digest('hex');
     }
   
     /**
-     * Clear expired cache entries
+     * Clear expired cache entries that are past the stale grace period
      */
-    cleanupExpiredEntries() {
+    async cleanupExpiredEntries() {
       const now = Date.now();
-      for (const [key, entry] of this.cache.entries()) {
-        if (now > entry.expiryTime) {
-          this.cache.delete(key);
+      for (const key of await this.storage.keys()) {
+        const entry = await this.storage.get(key);
+        if (entry && this.isPastGracePeriod(entry, now)) {
+          await this.storage.delete(key);
         }
       }
     }
   
+    /**
+     * Remove every entry whose key matches a predicate
+     * @param {Function} predicate - (key) => Boolean
+     * @returns {Number} - Number of removed entries
+     */
+    async deleteMatching(predicate) {
+      let removed = 0;
+      for (const key of await this.storage.keys()) {
+        if (predicate(key)) {
+          await this.storage.delete(key);
+          removed++;
+        }
+      }
+      return removed;
+    }
+
+    /**
+     * Describe the stored entries per key family. Reads every entry, so it is meant
+     * for occasional inspection only.
+     * @returns {Array} - [{ family, entries, expired, sizeBytes, oldestAge, newestAge,
+     *                    minTtl, maxTtl, withoutTtl, pinned, hits, misses, staleHits, evictions }],
+     *                    times in milliseconds
+     */
+    async getStatus() {
+      const now = Date.now();
+      const families = new Map();
+      const familyStatus = (family) => {
+        if (!families.has(family)) {
+          families.set(family, {
+            family,
+            entries: 0,
+            expired: 0,
+            sizeBytes: 0,
+            oldestAge: null,
+            newestAge: null,
+            minTtl: null,
+            maxTtl: null,
+            withoutTtl: 0,
+            pinned: 0,
+            ...Object.fromEntries(COUNTERS.map(counter => [counter, 0])),
+            ...this.counters.get(family)
+          });
+        }
+        return families.get(family);
+      };
+
+      for (const family of this.counters.keys()) {
+        familyStatus(family);
+      }
+
+      for (const key of await this.storage.keys()) {
+        const entry = await this.storage.get(key);
+        if (!entry) continue;
+
+        const status = familyStatus(this.keyFamily(key));
+        status.entries++;
+        status.sizeBytes += Buffer.byteLength(JSON.stringify(entry));
+        if (this.isExpired(entry, now)) status.expired++;
+        if (entry.pinned) status.pinned++;
+
+        // Entries written before ages were recorded have no createdAt
+        if (entry.createdAt) {
+          const age = now - entry.createdAt;
+          status.oldestAge = status.oldestAge === null ? age : Math.max(status.oldestAge, age);
+          status.newestAge = status.newestAge === null ? age : Math.min(status.newestAge, age);
+        }
+        if (entry.expiryTime === null) {
+          status.withoutTtl++;
+        } else if (entry.createdAt) {
+          const ttl = entry.expiryTime - entry.createdAt;
+          status.minTtl = status.minTtl === null ? ttl : Math.min(status.minTtl, ttl);
+          status.maxTtl = status.maxTtl === null ? ttl : Math.max(status.maxTtl, ttl);
+        }
+      }
+
+      return [...families.values()].sort((a, b) => a.family.localeCompare(b.family));
+    }
+
+    /**
+     * Size, limits and evictions of a bounded storage backend
+     * @returns {Object|null} - { entries, bytes, pinnedEntries, pinnedBytes, maxEntries, maxBytes,
+     *                          evictions, evictedBytes }, or null for unbounded backends
+     */
+    getStorageStats() {
+      return typeof this.storage.stats === 'function' ? this.storage.stats() : null;
+    }
+
     /**
      * Clear all cache entries
      */
-    clear() {
-      this.cache.clear();
+    async clear() {
+      await this.storage.clear();
+    }
+
+    /**
+     * Release the storage backend (e.g. close the Redis connection)
+     */
+    async close() {
+      await this.storage.close();
     }
   }
   
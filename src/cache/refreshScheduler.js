@@ -0,0 +1,76 @@
+// src/cache/refreshScheduler.js
+const sparqlClient = require('../utils/sparqlClient');
+const logger = require('../utils/logger');
+const { languageKey } = require('../utils/language');
+
+class RefreshScheduler {
+    constructor(client = sparqlClient) {
+      this.client = client;
+      this.timer = null;
+      this.running = false;
+      // How often datasets are checked, and how long before going stale they are rebuilt
+      this.checkInterval = parseInt(process.env.DATASET_REFRESH_CHECK_INTERVAL, 10) || 5 * 60 * 1000; // 5 minutes
+      this.refreshAhead = parseInt(process.env.DATASET_REFRESH_AHEAD, 10) || 60 * 60 * 1000; // 1 hour
+    }
+
+    /**
+     * Start checking datasets periodically
+     */
+    start() {
+      if (this.timer) return;
+      this.timer = setInterval(() => {
+        this.refreshDueDatasets().catch((error) => {
+          logger.error('Error running scheduled dataset refresh', { error });
+        });
+      }, this.checkInterval);
+    }
+
+    /**
+     * Stop the periodic checks
+     */
+    stop() {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+
+    /**
+     * Check whether a dataset should be rebuilt now
+     * @param {Object|null} dataset - { features, refreshedAt }
+     * @returns {Boolean}
+     */
+    isDue(dataset, now = Date.now()) {
+      return !dataset || now - dataset.refreshedAt >= this.client.datasetMaxAge - this.refreshAhead;
+    }
+
+    /**
+     * Rebuild every dataset of the preloaded language chains that is missing or close to
+     * going stale. Other chains are only refreshed when a client requests them again.
+     * A failed refresh keeps the previous copy and is retried on the next check.
+     */
+    async refreshDueDatasets() {
+      // Skip a check while the previous one is still running
+      if (this.running) return;
+      this.running = true;
+
+      try {
+        for (const languages of this.client.preloadLanguages) {
+          for (const type of this.client.waterFeatureTypes) {
+            const dataset = await this.client.getTypeDataset(type, languages);
+            if (!this.isDue(dataset)) continue;
+
+            logger.info('Refreshing dataset in background', { type, language: languageKey(languages) });
+            try {
+              const refreshed = await this.client.refreshFeatureType(type, languages);
+              logger.info('Refreshed dataset', { type, language: languageKey(languages), featureCount: refreshed.features.length });
+            } catch (error) {
+              logger.error('Error refreshing dataset, keeping the previous copy', { type, language: languageKey(languages), error });
+            }
+          }
+        }
+      } finally {
+        this.running = false;
+      }
+    }
+  }
+
+  module.exports = new RefreshScheduler();
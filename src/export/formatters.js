@@ -0,0 +1,87 @@
+// src/export/formatters.js
+const { featureSources } = require('../utils/filters');
+
+// Flat WaterFeature columns, in CSV column order (location is split into latitude/longitude).
+// Quantities are in SI units: m, m² and m³.
+const CSV_COLUMNS = [
+    'id',
+    'name',
+    'type',
+    'latitude',
+    'longitude',
+    'locatedIn',
+    'width',
+    'length',
+    'surfaceArea',
+    'capacity',
+    'inceptionDate',
+    'wikidataUrl',
+    'description',
+    'sources'
+];
+
+/**
+ * Escape a single CSV value (RFC 4180)
+ * @param {*} value - Cell value
+ * @returns {String} - Escaped cell
+ */
+function escapeCsvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    const str = String(value);
+    if (/[",\r\n]/.test(str)) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+}
+
+/**
+ * CSV header line
+ * @returns {String}
+ */
+function csvHeader() {
+    return CSV_COLUMNS.join(',') + '\r\n';
+}
+
+/**
+ * Format a water feature as a CSV line
+ * @param {Object} feature - Water feature
+ * @returns {String}
+ */
+function toCsvRow(feature) {
+    const row = {
+        ...feature,
+        latitude: feature.location ? feature.location.latitude : null,
+        longitude: feature.location ? feature.location.longitude : null,
+        sources: featureSources(feature).join(' ')
+    };
+    return CSV_COLUMNS.map(column => escapeCsvValue(row[column])).join(',') + '\r\n';
+}
+
+/**
+ * Format a water feature as a GeoJSON Feature with a Point geometry
+ * @param {Object} feature - Water feature
+ * @returns {Object} - GeoJSON Feature
+ */
+function toGeoJsonFeature(feature) {
+    // Properties stay flat; the original Wikidata statements behind quantities and the
+    // names of OpenStreetMap objects are left out
+    const { location, quantities, labels, ...properties } = feature;
+    return {
+        type: 'Feature',
+        id: feature.id,
+        geometry: location
+            ? { type: 'Point', coordinates: [location.longitude, location.latitude] }
+            : null,
+        properties: { ...properties, sources: featureSources(feature) }
+    };
+}
+
+module.exports = {
+    CSV_COLUMNS,
+    escapeCsvValue,
+    csvHeader,
+    toCsvRow,
+    toGeoJsonFeature
+};
@@ -0,0 +1,240 @@
+// src/import/bulletinParser.js
+const fs = require('fs/promises');
+const path = require('path');
+const ExcelJS = require('exceljs');
+const { UNITS } = require('../utils/units');
+
+// Bulletin columns, recognized by their (lower-case) header in Bulgarian or English.
+// The total volume ("общ обем") is the capacity and is deliberately not a volume column.
+// (?!\p{L}) ends a word; \b only knows Latin letters.
+const COLUMNS = {
+    name: /^(язовир|наименование|име|dam|reservoir|name)(?!\p{L})/u,
+    date: /^(дата|date)(?!\p{L})/u,
+    volume: /(наличен|текущ|available|current)\s+(обем|volume)|^(обем|volume)(?!\p{L})/u,
+    fillPercent: /%|процент|percent|fill/u
+};
+
+// Summary rows ("Общо", "Total") that are not a dam
+const TOTAL_ROW = /^(общо|всичко|total)(?!\p{L})/iu;
+
+const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+/**
+ * Decode a CSV file. Bulletins saved by Excel in Bulgaria are often Windows-1251
+ * rather than UTF-8.
+ * @param {Buffer} buffer - File contents
+ * @returns {String}
+ */
+function decodeText(buffer) {
+    let text;
+    try {
+        text = new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (error) {
+        text = new TextDecoder('windows-1251').decode(buffer);
+    }
+    return text.replace(/^\uFEFF/, '');
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting). Spreadsheets with decimal commas export with ";"
+ * as the delimiter, so any ";" near the top means ";", and "," is assumed otherwise.
+ * @param {String} text - CSV text
+ * @returns {Array} - Rows of cell strings
+ */
+function parseCsv(text) {
+    const delimiter = text.split(/\r?\n/, 20).some(line => line.includes(';')) ? ';' : ',';
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Plain value of an XLSX cell; formulas, rich text and hyperlinks are reduced to their value
+ * @param {*} value - exceljs cell value
+ * @returns {*}
+ */
+function cellValue(value) {
+    if (value === null || value === undefined || value instanceof Date || typeof value !== 'object') {
+        return value;
+    }
+    if ('result' in value) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if ('text' in value) return value.text;
+    return null;
+}
+
+/**
+ * Read the rows of the first worksheet of an XLSX file
+ * @param {String} file - File path
+ * @returns {Array} - Rows of cell values
+ */
+async function readXlsx(file) {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.readFile(file);
+    const sheet = workbook.worksheets[0];
+    if (!sheet) return [];
+
+    const rows = [];
+    sheet.eachRow({ includeEmpty: false }, (row) => {
+        // row.values is 1-based
+        rows.push(row.values.slice(1).map(cellValue));
+    });
+    return rows;
+}
+
+/**
+ * Parse a number as written in a bulletin: "1 234,5", "1234.5" or a spreadsheet number
+ * @param {*} value
+ * @returns {Number|null}
+ */
+function parseNumber(value) {
+    if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+    if (value === null || value === undefined) return null;
+
+    let text = String(value).replace(/[\s %]/g, '');
+    if (text === '') return null;
+    // A comma is the decimal separator unless there is also a point
+    text = text.includes('.') ? text.replace(/,/g, '') : text.replace(',', '.');
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a date as written in a bulletin or a file name: 2024-05-01, 01.05.2024,
+ * 20240501 or a spreadsheet date
+ * @param {*} value
+ * @returns {String|null} - ISO date (YYYY-MM-DD)
+ */
+function parseDate(value) {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : value.toISOString().slice(0, 10);
+    }
+    if (value === null || value === undefined) return null;
+
+    const text = String(value);
+    let match = /(\d{4})-(\d{2})-(\d{2})/.exec(text);
+    if (match) return toIsoDate(match[1], match[2], match[3]);
+    match = /(\d{1,2})\.(\d{1,2})\.(\d{4})/.exec(text);
+    if (match) return toIsoDate(match[3], match[2], match[1]);
+    match = /(?:^|\D)(\d{4})(\d{2})(\d{2})(?:\D|$)/.exec(text);
+    if (match) return toIsoDate(match[1], match[2], match[3]);
+    return null;
+}
+
+/**
+ * Build an ISO date, rejecting impossible days such as 2024-02-30
+ * @param {String} year
+ * @param {String} month
+ * @param {String} day
+ * @returns {String|null}
+ */
+function toIsoDate(year, month, day) {
+    const date = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+    if (date.getUTCMonth() !== Number(month) - 1 || date.getUTCDate() !== Number(day)) {
+        return null;
+    }
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Find the header row and the index of every known column in it
+ * @param {Array} rows - Rows of cell values
+ * @returns {Object|null} - { headerIndex, columns: { name, date, volume, fillPercent } }
+ */
+function findColumns(rows) {
+    // Bulletins start with a title block, so the header isn't necessarily the first row
+    for (let headerIndex = 0; headerIndex < Math.min(rows.length, 20); headerIndex++) {
+        const headers = rows[headerIndex].map(cell => String(cellValue(cell) || '').trim().toLowerCase());
+        const columns = {};
+        for (const [column, pattern] of Object.entries(COLUMNS)) {
+            const index = headers.findIndex((header, i) => pattern.test(header) && !Object.values(columns).includes(i));
+            if (index !== -1) columns[column] = index;
+        }
+        if (columns.name !== undefined && (columns.volume !== undefined || columns.fillPercent !== undefined)) {
+            return { headerIndex, columns };
+        }
+    }
+    return null;
+}
+
+/**
+ * Read the readings of a bulletin file
+ * @param {String} file - Path of a .csv or .xlsx file
+ * @param {Object} options - volumeUnit: unit of the volume column (default MILLION_CUBIC_METRES)
+ * @returns {Array} - [{ name, date, volume, fillPercent }], volumes in cubic metres
+ */
+async function readBulletin(file, { volumeUnit = 'MILLION_CUBIC_METRES' } = {}) {
+    const factor = UNITS.VOLUME[volumeUnit];
+    if (!factor) {
+        throw new RangeError(`Unknown volume unit: ${volumeUnit}`);
+    }
+
+    const extension = path.extname(file).toLowerCase();
+    const rows = extension === '.xlsx'
+        ? await readXlsx(file)
+        : parseCsv(decodeText(await fs.readFile(file)));
+
+    const layout = findColumns(rows);
+    if (!layout) {
+        throw new Error(`${path.basename(file)}: no header with a dam name and a volume or fill column`);
+    }
+    const { headerIndex, columns } = layout;
+    // Bulletins without a date column are dated by their file name
+    const fileDate = parseDate(path.basename(file));
+
+    const readings = [];
+    for (const row of rows.slice(headerIndex + 1)) {
+        const name = String(cellValue(row[columns.name]) || '').trim();
+        const date = columns.date !== undefined ? parseDate(cellValue(row[columns.date])) || fileDate : fileDate;
+        const volume = columns.volume !== undefined ? parseNumber(cellValue(row[columns.volume])) : null;
+        const fillPercent = columns.fillPercent !== undefined ? parseNumber(cellValue(row[columns.fillPercent])) : null;
+
+        // Skip totals, sub-headings and empty lines
+        if (!name || TOTAL_ROW.test(name) || !date || (volume === null && fillPercent === null)) continue;
+        readings.push({ name, date, volume: volume === null ? null : volume * factor, fillPercent });
+    }
+    return readings;
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    parseCsv,
+    parseNumber,
+    parseDate,
+    readBulletin
+};
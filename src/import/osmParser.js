@@ -0,0 +1,320 @@
+// src/import/osmParser.js
+const fs = require('fs');
+const path = require('path');
+const parseOsmPbf = require('osm-pbf-parser');
+const { isEntityId } = require('../utils/sparqlBuilder');
+const { polygonArea, ringCentroid, lineLength, combineGeometries, geometryLength } = require('../utils/geo');
+
+const SUPPORTED_EXTENSIONS = ['.geojson', '.json', '.pbf'];
+
+// Water feature type of a natural=water object, by its water=* tag. Rivers, canals and
+// other watercourse areas are left out: they are parts of a river, not features of their own.
+const WATER_TYPES = {
+    reservoir: 'RESERVOIR',
+    lake: 'LAKE',
+    pond: 'LAKE',
+    oxbow: 'LAKE',
+    lagoon: 'LAKE'
+};
+
+// OpenStreetMap element types, also as the single letters some exporters use
+const ELEMENT_TYPES = { node: 'node', way: 'way', relation: 'relation', n: 'node', w: 'way', r: 'relation' };
+
+/**
+ * Water feature type of an object, from its tags
+ * @param {Object} tags - OpenStreetMap tags
+ * @returns {String|null} - LAKE, RESERVOIR, DAM, RIVER or null for objects that aren't imported
+ */
+function featureType(tags) {
+    if (tags.waterway === 'dam') return 'DAM';
+    // Rivers are imported for their geometry, so only those linked to Wikidata: the
+    // countless streams of an extract aren't features of their own
+    if (tags.waterway === 'river') return isEntityId(tags.wikidata) ? 'RIVER' : null;
+    // Reservoirs were tagged landuse=reservoir before natural=water + water=reservoir
+    if (tags.landuse === 'reservoir' && !tags.natural) return 'RESERVOIR';
+    if (tags.natural !== 'water') return null;
+    if (!tags.water) return 'LAKE';
+    return WATER_TYPES[tags.water] || null;
+}
+
+/**
+ * Names of an object: the name tag under '' and name:xx tags under their language
+ * @param {Object} tags - OpenStreetMap tags
+ * @returns {Object}
+ */
+function objectNames(tags) {
+    const names = {};
+    for (const [key, value] of Object.entries(tags)) {
+        if (key === 'name') names[''] = value;
+        const match = /^name:([a-z]{2,3})$/.exec(key);
+        if (match) names[match[1]] = value;
+    }
+    return names;
+}
+
+/**
+ * Round the positions of a geometry to the 7 decimals OpenStreetMap stores
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object}
+ */
+function roundGeometry(geometry) {
+    const round = coordinates => (typeof coordinates[0] === 'number'
+        ? coordinates.map(value => Number(value.toFixed(7)))
+        : coordinates.map(round));
+    return { type: geometry.type, coordinates: round(geometry.coordinates) };
+}
+
+/**
+ * Build an imported object from an element's tags and geometry
+ * @param {String} osmId - e.g. "way/123"
+ * @param {Object} tags - OpenStreetMap tags
+ * @param {Object} geometry - GeoJSON geometry, or null when it can't be built
+ * @returns {Object|null} - { osmId, type, names, wikidataId, location, surfaceArea, length, geometry }
+ *   where geometry is the (Multi)Polygon or (Multi)LineString, null for points
+ */
+function toObject(osmId, tags, geometry) {
+    const type = featureType(tags);
+    if (!type) return null;
+
+    const object = {
+        osmId,
+        type,
+        names: objectNames(tags),
+        wikidataId: isEntityId(tags.wikidata) ? tags.wikidata : null,
+        location: null,
+        surfaceArea: null,
+        length: null,
+        geometry: null
+    };
+    if (!geometry) return object;
+
+    const polygons = geometry.type === 'Polygon' ? [geometry.coordinates]
+        : geometry.type === 'MultiPolygon' ? geometry.coordinates
+            : [];
+    if (polygons.length > 0) {
+        // Located at the centroid of the largest polygon
+        const areas = polygons.map(polygonArea);
+        const largest = areas.indexOf(Math.max(...areas));
+        object.location = ringCentroid(polygons[largest][0]);
+        // The area of a dam drawn as a polygon is its footprint, not a surface area
+        if (type !== 'DAM') object.surfaceArea = areas.reduce((sum, area) => sum + area, 0);
+    } else if (/LineString$/.test(geometry.type) && geometry.coordinates.length > 0) {
+        // A dam drawn as a line along its crest or a river, located at the middle point
+        // of its longest line
+        const lines = geometry.type === 'LineString' ? [geometry.coordinates] : geometry.coordinates;
+        const lengths = lines.map(lineLength);
+        const longest = lines[lengths.indexOf(Math.max(...lengths))];
+        const middle = longest[Math.floor(longest.length / 2)];
+        object.location = { latitude: middle[1], longitude: middle[0] };
+        object.length = geometryLength(geometry) * 1000;
+    } else if (geometry.type === 'Point') {
+        object.location = { latitude: geometry.coordinates[1], longitude: geometry.coordinates[0] };
+    }
+
+    // OpenStreetMap stores 7 decimals; areas and lengths to the metre
+    if (object.location) {
+        object.location = {
+            latitude: Number(object.location.latitude.toFixed(7)),
+            longitude: Number(object.location.longitude.toFixed(7))
+        };
+    }
+    if (object.surfaceArea !== null) object.surfaceArea = Math.round(object.surfaceArea);
+    if (object.length !== null) object.length = Math.round(object.length);
+    const shape = combineGeometries([geometry]);
+    if (shape) object.geometry = roundGeometry(shape);
+    return object;
+}
+
+/**
+ * OpenStreetMap ID of a GeoJSON feature, as written by osmium, osmtogeojson or Overpass:
+ * "way/123", "w123", or a number next to an @type or type property
+ * @param {Object} feature - GeoJSON feature
+ * @returns {String|null} - e.g. "way/123"
+ */
+function geoJsonOsmId(feature) {
+    const properties = feature.properties || {};
+    const elementType = properties['@type'] || properties.type;
+    for (const id of [feature.id, properties['@id'], properties.id]) {
+        if (id === undefined || id === null) continue;
+        const match = /^(node|way|relation|[nwr])\/?(\d+)$/.exec(String(id));
+        if (match) return `${ELEMENT_TYPES[match[1]]}/${match[2]}`;
+        if (/^\d+$/.test(String(id)) && ELEMENT_TYPES[elementType]) return `${ELEMENT_TYPES[elementType]}/${id}`;
+    }
+    return null;
+}
+
+/**
+ * Read the objects of a GeoJSON FeatureCollection
+ * @param {String} file - File path
+ * @returns {Object} - { objects, skipped }
+ */
+async function readGeoJson(file) {
+    const collection = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (!collection || !Array.isArray(collection.features)) {
+        throw new Error(`${path.basename(file)}: not a GeoJSON FeatureCollection`);
+    }
+
+    const objects = [];
+    let skipped = 0;
+    for (const feature of collection.features) {
+        const properties = feature.properties || {};
+        // osmtogeojson nests the tags; other exporters write them as properties
+        const tags = properties.tags && typeof properties.tags === 'object' ? properties.tags : properties;
+        const osmId = geoJsonOsmId(feature);
+        if (!featureType(tags)) continue;
+        if (!osmId) {
+            skipped++;
+            continue;
+        }
+        objects.push(toObject(osmId, tags, feature.geometry));
+    }
+    return { objects, skipped };
+}
+
+/**
+ * Stream every element of a PBF file
+ * @param {String} file - File path
+ * @param {Function} onElement - Called with every node, way and relation
+ * @returns {Promise}
+ */
+function scanPbf(file, onElement) {
+    return new Promise((resolve, reject) => {
+        fs.createReadStream(file)
+            .on('error', reject)
+            .pipe(parseOsmPbf())
+            .on('error', reject)
+            .on('data', elements => elements.forEach(onElement))
+            .on('end', resolve);
+    });
+}
+
+/**
+ * Join ways that share end nodes into longer lines
+ * @param {Array} ways - Node ID lists
+ * @returns {Array} - Node ID lists, closed when the ways form a ring
+ */
+function joinWays(ways) {
+    const remaining = ways.filter(refs => refs.length > 1).map(refs => [...refs]);
+    const lines = [];
+    while (remaining.length > 0) {
+        const line = remaining.shift();
+        while (line[0] !== line[line.length - 1]) {
+            const end = line[line.length - 1];
+            const next = remaining.findIndex(refs => refs[0] === end || refs[refs.length - 1] === end);
+            if (next === -1) break;
+            const [refs] = remaining.splice(next, 1);
+            line.push(...(refs[0] === end ? refs : refs.reverse()).slice(1));
+        }
+        lines.push(line);
+    }
+    return lines;
+}
+
+/**
+ * Join the ways of a multipolygon into closed rings
+ * @param {Array} ways - Node ID lists
+ * @returns {Array} - Closed rings of node IDs; ways that don't close a ring are dropped
+ */
+function assembleRings(ways) {
+    return joinWays(ways).filter(ring => ring.length > 3 && ring[0] === ring[ring.length - 1]);
+}
+
+/**
+ * Read the objects of an .osm.pbf extract. Node positions are only kept for the ways
+ * that are imported, so this takes three passes over the file rather than the memory
+ * for every node of the country: imported elements, the ways of multipolygon and
+ * waterway relations, then nodes.
+ * @param {String} file - File path
+ * @returns {Object} - { objects, skipped }
+ */
+async function readPbf(file) {
+    const points = [];
+    const ways = [];
+    const relations = [];
+    const memberWays = new Map();
+
+    await scanPbf(file, (element) => {
+        const tags = element.tags || {};
+        if (!featureType(tags)) return;
+        if (element.type === 'node') {
+            points.push({ osmId: `node/${element.id}`, tags, coordinates: [element.lon, element.lat] });
+        } else if (element.type === 'way') {
+            ways.push({ osmId: `way/${element.id}`, tags, refs: element.refs });
+        } else if (element.type === 'relation' && (tags.type === 'multipolygon' || tags.type === 'waterway')) {
+            const members = element.members.filter(member => member.type === 'way');
+            members.forEach(member => memberWays.set(member.id, null));
+            relations.push({ osmId: `relation/${element.id}`, tags, members });
+        }
+    });
+
+    if (memberWays.size > 0) {
+        await scanPbf(file, (element) => {
+            if (element.type === 'way' && memberWays.has(element.id)) memberWays.set(element.id, element.refs);
+        });
+    }
+
+    const nodes = new Map();
+    ways.forEach(way => way.refs.forEach(ref => nodes.set(ref, null)));
+    memberWays.forEach(refs => (refs || []).forEach(ref => nodes.set(ref, null)));
+    await scanPbf(file, (element) => {
+        if (element.type === 'node' && nodes.has(element.id)) nodes.set(element.id, [element.lon, element.lat]);
+    });
+
+    // Elements with nodes missing from the extract (cut at its border) get no geometry
+    const toPositions = refs => (refs.every(ref => nodes.get(ref)) ? refs.map(ref => nodes.get(ref)) : null);
+
+    const objects = points.map(({ osmId, tags, coordinates }) => toObject(osmId, tags, { type: 'Point', coordinates }));
+    for (const { osmId, tags, refs } of ways) {
+        const positions = toPositions(refs);
+        const closed = refs.length > 3 && refs[0] === refs[refs.length - 1];
+        const geometry = !positions ? null
+            : closed && !tags.waterway ? { type: 'Polygon', coordinates: [positions] }
+                : { type: 'LineString', coordinates: positions };
+        objects.push(toObject(osmId, tags, geometry));
+    }
+    for (const { osmId, tags, members } of relations) {
+        if (tags.type === 'waterway') {
+            // The river's ways joined into as few lines as they allow
+            const lines = joinWays(members.map(member => memberWays.get(member.id)).filter(Boolean))
+                .map(toPositions)
+                .filter(Boolean);
+            const geometry = lines.length > 0 ? { type: 'MultiLineString', coordinates: lines } : null;
+            objects.push(toObject(osmId, tags, geometry));
+            continue;
+        }
+        const ringsOf = role => assembleRings(members
+            .filter(member => (member.role || 'outer') === role && memberWays.get(member.id))
+            .map(member => memberWays.get(member.id)))
+            .map(toPositions)
+            .filter(Boolean);
+        const outers = ringsOf('outer');
+        const inners = ringsOf('inner');
+        // Holes are subtracted from the first outer ring, which is as close as
+        // the area gets without testing which ring each hole lies in
+        const geometry = outers.length > 0
+            ? { type: 'MultiPolygon', coordinates: outers.map((ring, i) => (i === 0 ? [ring, ...inners] : [ring])) }
+            : null;
+        objects.push(toObject(osmId, tags, geometry));
+    }
+    return { objects, skipped: 0 };
+}
+
+/**
+ * Read the lakes, reservoirs, dams and Wikidata-linked rivers of an OpenStreetMap extract
+ * @param {String} file - Path of a GeoJSON (.geojson, .json) or .osm.pbf file
+ * @returns {Object} - { objects: [{ osmId, type, names, wikidataId, location, surfaceArea, length, geometry }], skipped }
+ *   where skipped counts GeoJSON features without an OpenStreetMap ID
+ */
+async function readOsmExtract(file) {
+    const extension = path.extname(file).toLowerCase();
+    if (!SUPPORTED_EXTENSIONS.includes(extension)) {
+        throw new Error(`${path.basename(file)}: expected a .geojson, .json or .osm.pbf file`);
+    }
+    return extension === '.pbf' ? readPbf(file) : readGeoJson(file);
+}
+
+module.exports = {
+    SUPPORTED_EXTENSIONS,
+    featureType,
+    readOsmExtract
+};
@@ -0,0 +1,72 @@
+// src/loaders/index.js
+const DataLoader = require('dataloader');
+const sparqlClient = require('../utils/sparqlClient');
+const riverNetworkService = require('../services/riverNetworkService');
+const damService = require('../services/damService');
+const { languageKey } = require('../utils/language');
+
+/**
+ * Create the per-request loaders. A new set is created for every GraphQL request,
+ * so IDs requested anywhere in one operation are batched into a single lookup
+ * and results are never shared between requests.
+ * @returns {Object} - Loaders
+ */
+function createLoaders() {
+  const waterFeatureLoaders = new Map();
+  const riverRelationLoaders = new Map();
+  const damDetailLoaders = new Map();
+
+  return {
+    /**
+     * Loader of water features by ID for one language fallback chain
+     * @param {Array} languages - Language fallback chain
+     * @returns {DataLoader}
+     */
+    waterFeatureById(languages) {
+      const key = languageKey(languages);
+      if (!waterFeatureLoaders.has(key)) {
+        waterFeatureLoaders.set(key, new DataLoader(
+          ids => sparqlClient.getWaterFeaturesByIds(ids, languages),
+          { maxBatchSize: sparqlClient.batchSize }
+        ));
+      }
+      return waterFeatureLoaders.get(key);
+    },
+
+    /**
+     * Loader of river relationships (tributaries, mouth, basin, lakes, dams) by ID
+     * @param {Array} languages - Language fallback chain
+     * @returns {DataLoader}
+     */
+    riverRelations(languages) {
+      const key = languageKey(languages);
+      if (!riverRelationLoaders.has(key)) {
+        riverRelationLoaders.set(key, new DataLoader(
+          ids => riverNetworkService.getRelations(ids, languages),
+          { maxBatchSize: sparqlClient.batchSize }
+        ));
+      }
+      return riverRelationLoaders.get(key);
+    },
+
+    /**
+     * Loader of dam details (height, type, operator, owner, purpose, river, power stations) by ID
+     * @param {Array} languages - Language fallback chain
+     * @returns {DataLoader}
+     */
+    damDetails(languages) {
+      const key = languageKey(languages);
+      if (!damDetailLoaders.has(key)) {
+        damDetailLoaders.set(key, new DataLoader(
+          ids => damService.getDetails(ids, languages),
+          { maxBatchSize: sparqlClient.batchSize }
+        ));
+      }
+      return damDetailLoaders.get(key);
+    }
+  };
+}
+
+module.exports = {
+  createLoaders
+};
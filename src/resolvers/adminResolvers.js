@@ -0,0 +1,70 @@
+// src/resolvers/adminResolvers.js
+const adminService = require('../services/adminService');
+const { resolveLanguages, resolveEntityId, requireAdmin, formatDatasetStatus, toGraphQLError } = require('./helpers');
+
+/**
+ * Convert milliseconds to seconds, keeping missing values
+ * @param {Number|null} milliseconds
+ * @returns {Number|null}
+ */
+function toSeconds(milliseconds) {
+  return milliseconds === null ? null : milliseconds / 1000;
+}
+
+/**
+ * Format a cache family status for GraphQL
+ * @param {Object} family - Status from cacheManager.getStatus
+ * @returns {Object}
+ */
+function formatFamily(family) {
+  const lookups = family.hits + family.misses;
+  return {
+    ...family,
+    oldestAgeSeconds: toSeconds(family.oldestAge),
+    newestAgeSeconds: toSeconds(family.newestAge),
+    minTtlSeconds: toSeconds(family.minTtl),
+    maxTtlSeconds: toSeconds(family.maxTtl),
+    hitRate: lookups > 0 ? family.hits / lookups : null
+  };
+}
+
+const adminResolvers = {
+  Query: {
+    cacheStatus: async (_, __, context) => {
+      requireAdmin(context);
+      const status = await adminService.getCacheStatus();
+      const lookups = status.hits + status.misses;
+      return {
+        ...status,
+        hitRate: lookups > 0 ? status.hits / lookups : null,
+        families: status.families.map(formatFamily)
+      };
+    }
+  },
+
+  Mutation: {
+    refreshFeatureType: async (_, { type, language }, context) => {
+      requireAdmin(context);
+      const languages = resolveLanguages(language);
+      try {
+        return formatDatasetStatus(await adminService.refreshFeatureType(type, languages));
+      } catch (error) {
+        console.error(`Error refreshing ${type} data:`, error);
+        throw toGraphQLError(error, `Failed to refresh ${type} data from Wikidata`);
+      }
+    },
+
+    invalidateFeature: async (_, { id }, context) => {
+      requireAdmin(context);
+      resolveEntityId(id);
+      return adminService.invalidateFeature(id);
+    },
+
+    clearQueryCache: async (_, __, context) => {
+      requireAdmin(context);
+      return adminService.clearQueryCache();
+    }
+  }
+};
+
+module.exports = adminResolvers;
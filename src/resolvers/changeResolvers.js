@@ -0,0 +1,65 @@
+// src/resolvers/changeResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const { withFilter } = require('graphql-subscriptions');
+const changeService = require('../services/changeService');
+const { languageKey } = require('../utils/language');
+const { resolveLanguages } = require('./helpers');
+
+/**
+ * Format a recorded change for GraphQL
+ * @param {Object} change - Change from changeService
+ * @returns {Object}
+ */
+function toGraphQLChange(change) {
+  return { ...change, detectedAt: new Date(change.detectedAt).toISOString() };
+}
+
+/**
+ * Check whether a published change is new to a subscriber. A change seen again through
+ * another type dataset is published once more for that type (newTypes), and only goes to
+ * subscribers none of whose types it was delivered for before.
+ * @param {Object} change - Published change with types and newTypes
+ * @param {Array} types - Types the subscriber asked for (optional)
+ * @returns {Boolean}
+ */
+function isNewDelivery(change, types) {
+  if (!types || types.length === 0) {
+    return change.newTypes.length === change.types.length;
+  }
+  const subscribed = change.types.filter(type => types.includes(type));
+  return subscribed.length > 0 && subscribed.every(type => change.newTypes.includes(type));
+}
+
+const changeResolvers = {
+  Query: {
+    waterFeatureChanges: (_, { since, types, limit = 100, language }) => {
+      const languages = resolveLanguages(language);
+      const sinceTime = since ? Date.parse(since) : 0;
+      if (Number.isNaN(sinceTime)) {
+        throw new UserInputError('since must be an ISO 8601 date', { since });
+      }
+      if (limit < 1 || limit > changeService.maxEntries) {
+        throw new UserInputError(`limit must be between 1 and ${changeService.maxEntries}`, { limit });
+      }
+
+      return changeService.getChanges({ since: sinceTime, types, languages, limit }).map(toGraphQLChange);
+    }
+  },
+
+  Subscription: {
+    waterFeatureChanged: {
+      subscribe: (_, args) => {
+        // Reject bad arguments when subscribing rather than on the first change
+        const languages = resolveLanguages(args.language);
+        return withFilter(
+          () => changeService.subscribe(),
+          (change, { types }) => change.language === languageKey(languages)
+            && isNewDelivery(change, types)
+        )(_, args);
+      },
+      resolve: toGraphQLChange
+    }
+  }
+};
+
+module.exports = changeResolvers;
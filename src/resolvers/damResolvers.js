@@ -0,0 +1,68 @@
+// src/resolvers/damResolvers.js
+const damService = require('../services/damService');
+const logger = require('../utils/logger');
+const { toQuantity } = require('../utils/units');
+const { resolveLanguages, toGraphQLError } = require('./helpers');
+
+/**
+ * Resolver of a list of related Wikidata items
+ * @param {String} relation - damTypes, operators, owners or purposes
+ * @returns {Function}
+ */
+function relatedEntities(relation) {
+  return details => details[relation].map(entity => ({
+    ...entity,
+    wikidataUrl: `https://www.wikidata.org/wiki/${entity.id}`
+  }));
+}
+
+const damResolvers = {
+  WaterFeature: {
+    damDetails: async (feature, { language }, { loaders }) => {
+      if (!damService.hasDetails(feature)) return null;
+      const languages = resolveLanguages(language);
+      try {
+        const details = await loaders.damDetails(languages).load(feature.id);
+        return { ...details, feature, languages };
+      } catch (error) {
+        logger.error('Error fetching dam details', { id: feature.id, error: error.message });
+        throw toGraphQLError(error, `Failed to fetch dam details of water feature ${feature.id} from Wikidata`);
+      }
+    }
+  },
+
+  DamDetails: {
+    height: (details, { unit }) => toQuantity(details, 'height', unit),
+    // Wikidata records the crest length of a dam as its length; a reservoir's length is the lake's
+    crestLength: (details, { unit }) => (details.feature.type === 'DAM'
+      ? toQuantity(details.feature, 'length', unit)
+      : null),
+    damTypes: relatedEntities('damTypes'),
+    operators: relatedEntities('operators'),
+    owners: relatedEntities('owners'),
+    purposes: relatedEntities('purposes'),
+
+    // The first in damService order: the river listing the dam before those it crosses
+    impoundedRiver: async (details, _, { loaders }) => {
+      const [river] = details.impoundedRivers;
+      if (!river) return null;
+      try {
+        return await loaders.waterFeatureById(details.languages).load(river.id);
+      } catch (error) {
+        logger.error('Error fetching impounded river', { id: details.feature.id, riverId: river.id, error: error.message });
+        throw toGraphQLError(error, `Failed to fetch river impounded by ${details.feature.id} from Wikidata`);
+      }
+    },
+
+    powerStations: details => details.powerStations.map(station => ({
+      ...station,
+      wikidataUrl: `https://www.wikidata.org/wiki/${station.id}`
+    }))
+  },
+
+  PowerStation: {
+    installedCapacity: (station, { unit }) => toQuantity(station, 'installedCapacity', unit)
+  }
+};
+
+module.exports = damResolvers;
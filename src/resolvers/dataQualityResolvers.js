@@ -0,0 +1,34 @@
+// src/resolvers/dataQualityResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const dataQualityService = require('../services/dataQualityService');
+const { resolveLanguages, toGraphQLError } = require('./helpers');
+
+const MAX_LIMIT = 1000;
+
+const dataQualityResolvers = {
+  Query: {
+    dataQualityReport: async (_, { types, issueTypes, limit = 100, offset = 0, language }) => {
+      const languages = resolveLanguages(language);
+      if (limit < 1 || limit > MAX_LIMIT) {
+        throw new UserInputError(`limit must be between 1 and ${MAX_LIMIT}`, { limit });
+      }
+      if (offset < 0) {
+        throw new UserInputError('offset must not be negative', { offset });
+      }
+
+      try {
+        const report = await dataQualityService.getReport({ types, issueTypes, languages });
+        return {
+          ...report,
+          issueCount: report.issues.length,
+          issues: report.issues.slice(offset, offset + limit)
+        };
+      } catch (error) {
+        console.error('Error building the data quality report:', error);
+        throw toGraphQLError(error, 'Failed to build the data quality report');
+      }
+    }
+  }
+};
+
+module.exports = dataQualityResolvers;
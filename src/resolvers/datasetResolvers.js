@@ -0,0 +1,22 @@
+// src/resolvers/datasetResolvers.js
+const sparqlClient = require('../utils/sparqlClient');
+const snapshotService = require('../services/snapshotService');
+const { formatDatasetStatus } = require('./helpers');
+
+const datasetResolvers = {
+  Query: {
+    datasetStatus: async () => {
+      const statuses = await sparqlClient.getDatasetStatus();
+      return statuses.map(formatDatasetStatus);
+    },
+
+    dataSource: () => {
+      const snapshot = snapshotService.getMetadata();
+      return snapshot
+        ? { mode: 'SNAPSHOT', endpoint: null, snapshot }
+        : { mode: 'WIKIDATA', endpoint: sparqlClient.endpoint, snapshot: null };
+    }
+  }
+};
+
+module.exports = datasetResolvers;
@@ -0,0 +1,62 @@
+// src/resolvers/fillLevelResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const fillLevelService = require('../services/fillLevelService');
+const { convertFromCanonical } = require('../utils/units');
+const { resolveLanguages, toGraphQLError } = require('./helpers');
+
+const MAX_LIMIT = 100;
+
+/**
+ * Check an ISO date argument (YYYY-MM-DD)
+ * @param {String} value - Argument value
+ * @param {String} name - Argument name, for the error
+ * @returns {String|undefined}
+ */
+function resolveDate(value, name) {
+  if (value === undefined || value === null) return undefined;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value) || Number.isNaN(Date.parse(value))) {
+    throw new UserInputError(`${name} must be an ISO date such as 2024-05-01`, { [name]: value });
+  }
+  return value;
+}
+
+const fillLevelResolvers = {
+  Query: {
+    lowestFillReservoirs: async (_, { limit = 10, language }) => {
+      const languages = resolveLanguages(language);
+      if (limit < 1 || limit > MAX_LIMIT) {
+        throw new UserInputError(`limit must be between 1 and ${MAX_LIMIT}`, { limit });
+      }
+      try {
+        return await fillLevelService.getLowestFill(limit, languages);
+      } catch (error) {
+        console.error('Error finding the lowest reservoir fill levels:', error);
+        throw toGraphQLError(error, 'Failed to read reservoir fill levels');
+      }
+    }
+  },
+
+  WaterFeature: {
+    volumeHistory: async (feature, { from, to }) => {
+      const range = { from: resolveDate(from, 'from'), to: resolveDate(to, 'to') };
+      const readings = await fillLevelService.getVolumeHistory(feature.id, range);
+      return readings.map(reading => ({
+        ...reading,
+        fillPercent: fillLevelService.fillPercent(reading, feature)
+      }));
+    },
+
+    currentFillPercent: async (feature) => {
+      const reading = await fillLevelService.getLatestReading(feature.id);
+      return fillLevelService.fillPercent(reading, feature);
+    }
+  },
+
+  VolumeReading: {
+    volume: (reading, { unit }) => (reading.volume == null
+      ? null
+      : convertFromCanonical(reading.volume, unit || 'CUBIC_METRE', 'VOLUME'))
+  }
+};
+
+module.exports = fillLevelResolvers;
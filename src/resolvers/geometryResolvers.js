@@ -0,0 +1,40 @@
+// src/resolvers/geometryResolvers.js
+const { GraphQLScalarType } = require('graphql');
+const { UserInputError } = require('apollo-server-express');
+const geometryService = require('../services/geometryService');
+const logger = require('../utils/logger');
+const { toGraphQLError } = require('./helpers');
+
+// GeoJSON coordinates nest to a depth that depends on the geometry type, which
+// GraphQL lists can't express; they are only ever sent, never received
+const GeoJSONCoordinates = new GraphQLScalarType({
+  name: 'GeoJSONCoordinates',
+  description: 'The coordinates array of a GeoJSON geometry, [longitude, latitude] positions nested by type',
+  serialize: value => value,
+  parseValue: () => {
+    throw new TypeError('GeoJSONCoordinates cannot be used as an input');
+  },
+  parseLiteral: () => {
+    throw new TypeError('GeoJSONCoordinates cannot be used as an input');
+  }
+});
+
+const geometryResolvers = {
+  GeoJSONCoordinates,
+
+  WaterFeature: {
+    geometry: async (feature, { tolerance }) => {
+      try {
+        return await geometryService.getGeometry(feature, tolerance == null ? undefined : tolerance);
+      } catch (error) {
+        if (error instanceof RangeError) {
+          throw new UserInputError(error.message, { tolerance });
+        }
+        logger.error('Error fetching geometry', { id: feature.id, error: error.message });
+        throw toGraphQLError(error, `Failed to fetch geometry of water feature ${feature.id}`);
+      }
+    }
+  }
+};
+
+module.exports = geometryResolvers;
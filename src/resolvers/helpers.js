@@ -0,0 +1,95 @@
+// src/resolvers/helpers.js
+const { ApolloError, AuthenticationError, ForbiddenError, UserInputError } = require('apollo-server-express');
+const { parseLanguages } = require('../utils/language');
+const { isEntityId } = require('../utils/sparqlBuilder');
+const { isAdminToken } = require('../utils/auth');
+const osmService = require('../services/osmService');
+
+/**
+ * Parse the language argument of a query, reporting bad codes as user input errors
+ * @param {String} language - Comma-separated fallback chain (e.g. "bg,en")
+ * @returns {Array} - Language codes
+ */
+function resolveLanguages(language) {
+  try {
+    return parseLanguages(language === null ? undefined : language);
+  } catch (error) {
+    throw new UserInputError(error.message, { language });
+  }
+}
+
+/**
+ * Check a Wikidata ID argument before it reaches a query
+ * @param {String} id - Wikidata item ID (e.g. "Q12345")
+ * @param {String} name - Argument name, for the error
+ * @returns {String} - The ID
+ */
+function resolveEntityId(id, name = 'id') {
+  if (!isEntityId(id)) {
+    throw new UserInputError(`${name} must be a Wikidata ID such as Q12345, got "${id}"`, { [name]: id });
+  }
+  return id;
+}
+
+/**
+ * Check a water feature ID argument: a Wikidata ID or an OpenStreetMap feature ID
+ * @param {String} id - e.g. "Q12345" or "osm:way/123"
+ * @param {String} name - Argument name, for the error
+ * @returns {String} - The ID
+ */
+function resolveFeatureId(id, name = 'id') {
+  if (!isEntityId(id) && !osmService.isFeatureId(id)) {
+    throw new UserInputError(`${name} must be a Wikidata ID such as Q12345 or an OpenStreetMap ID such as osm:way/123, got "${id}"`, { [name]: id });
+  }
+  return id;
+}
+
+/**
+ * Reject operations that aren't sent with the admin token
+ * @param {Object} context - Resolver context with the request's adminToken
+ */
+function requireAdmin(context) {
+  if (!process.env.ADMIN_TOKEN) {
+    throw new ForbiddenError('The admin API is disabled; set ADMIN_TOKEN to enable it');
+  }
+  if (!isAdminToken(context.adminToken)) {
+    throw new AuthenticationError('A valid admin token is required');
+  }
+}
+
+/**
+ * Format a dataset status for GraphQL
+ * @param {Object} status - Status from sparqlClient.getDatasetStatus
+ * @returns {Object}
+ */
+function formatDatasetStatus(status) {
+  return {
+    ...status,
+    language: status.languages.join(','),
+    lastRefreshedAt: status.lastRefreshedAt ? new Date(status.lastRefreshedAt).toISOString() : null,
+    lastErrorAt: status.lastErrorAt ? new Date(status.lastErrorAt).toISOString() : null
+  };
+}
+
+/**
+ * Turn an error caught in a resolver into the error reported to the client.
+ * Typed errors (e.g. UPSTREAM_TIMEOUT) keep their code; anything else gets a generic message.
+ * @param {Error} error - Caught error
+ * @param {String} message - Generic message for unexpected errors
+ * @returns {Error}
+ */
+function toGraphQLError(error, message) {
+  if (error instanceof ApolloError) {
+    return error;
+  }
+  return new Error(message);
+}
+
+module.exports = {
+  resolveLanguages,
+  resolveEntityId,
+  resolveFeatureId,
+  requireAdmin,
+  formatDatasetStatus,
+  toGraphQLError
+};
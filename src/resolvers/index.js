@@ -1,8 +1,43 @@
 // src/resolvers/index.js
 const waterFeatureResolvers = require('./waterFeatureResolvers');
+const spatialResolvers = require('./spatialResolvers');
+const datasetResolvers = require('./datasetResolvers');
+const riverResolvers = require('./riverResolvers');
+const statsResolvers = require('./statsResolvers');
+const regionResolvers = require('./regionResolvers');
+const changeResolvers = require('./changeResolvers');
+const adminResolvers = require('./adminResolvers');
+const fillLevelResolvers = require('./fillLevelResolvers');
+const dataQualityResolvers = require('./dataQualityResolvers');
+const geometryResolvers = require('./geometryResolvers');
+const damResolvers = require('./damResolvers');
 
 module.exports = {
   Query: {
-    ...waterFeatureResolvers.Query
+    ...waterFeatureResolvers.Query,
+    ...spatialResolvers.Query,
+    ...datasetResolvers.Query,
+    ...riverResolvers.Query,
+    ...statsResolvers.Query,
+    ...regionResolvers.Query,
+    ...changeResolvers.Query,
+    ...adminResolvers.Query,
+    ...fillLevelResolvers.Query,
+    ...dataQualityResolvers.Query
+  },
+  Mutation: adminResolvers.Mutation,
+  Subscription: changeResolvers.Subscription,
+  Region: regionResolvers.Region,
+  VolumeReading: fillLevelResolvers.VolumeReading,
+  GeoJSONCoordinates: geometryResolvers.GeoJSONCoordinates,
+  DamDetails: damResolvers.DamDetails,
+  PowerStation: damResolvers.PowerStation,
+  WaterFeature: {
+    ...waterFeatureResolvers.WaterFeature,
+    ...riverResolvers.WaterFeature,
+    ...regionResolvers.WaterFeature,
+    ...fillLevelResolvers.WaterFeature,
+    ...geometryResolvers.WaterFeature,
+    ...damResolvers.WaterFeature
   }
 };
@@ -0,0 +1,53 @@
+// src/resolvers/regionResolvers.js
+const regionService = require('../services/regionService');
+const { resolveLanguages, resolveEntityId, toGraphQLError } = require('./helpers');
+
+const regionResolvers = {
+  Query: {
+    regions: async (_, { level, parentId, language }) => {
+      if (parentId) resolveEntityId(parentId, 'parentId');
+      const languages = resolveLanguages(language);
+      try {
+        return await regionService.getRegions({ level, parentId }, languages);
+      } catch (error) {
+        console.error('Error fetching regions:', error);
+        throw toGraphQLError(error, 'Failed to fetch regions from Wikidata');
+      }
+    },
+
+    region: async (_, { id, language }) => {
+      resolveEntityId(id);
+      const languages = resolveLanguages(language);
+      try {
+        return await regionService.getRegion(id, languages);
+      } catch (error) {
+        console.error(`Error fetching region ${id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch region ${id} from Wikidata`);
+      }
+    }
+  },
+
+  // Regions carry the language chain they were fetched with
+  Region: {
+    parent: (region) => (region.parentId ? regionService.getRegion(region.parentId, region.languages) : null),
+    children: async (region) => {
+      const children = await Promise.all(region.childIds.map(id => regionService.getRegion(id, region.languages)));
+      return children.filter(Boolean);
+    },
+    wikidataUrl: (region) => `https://www.wikidata.org/wiki/${region.id}`
+  },
+
+  WaterFeature: {
+    administrativePath: async (feature, { language }) => {
+      const languages = resolveLanguages(language);
+      try {
+        return await regionService.getAdministrativePath(feature, languages);
+      } catch (error) {
+        console.error(`Error fetching administrative path of water feature ${feature.id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch administrative path of water feature ${feature.id} from Wikidata`);
+      }
+    }
+  }
+};
+
+module.exports = regionResolvers;
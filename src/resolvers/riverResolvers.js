@@ -0,0 +1,75 @@
+// src/resolvers/riverResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const riverNetworkService = require('../services/riverNetworkService');
+const { resolveLanguages, resolveEntityId, toGraphQLError } = require('./helpers');
+
+/**
+ * Resolve a relationship of a water feature to the related water features
+ * @param {String} relation - Relationship name (see riverNetworkService)
+ * @returns {Function} - Field resolver
+ */
+function relatedFeatures(relation) {
+  return async (feature, { language }, { loaders }) => {
+    const languages = resolveLanguages(language);
+    try {
+      const relations = await loaders.riverRelations(languages).load(feature.id);
+      const features = await loaders.waterFeatureById(languages).loadMany(relations[relation].map(entry => entry.id));
+      // IDs that no longer resolve on Wikidata are left out
+      return features.filter(related => related && !(related instanceof Error));
+    } catch (error) {
+      console.error(`Error fetching ${relation} of water feature ${feature.id}:`, error);
+      throw toGraphQLError(error, `Failed to fetch ${relation} of water feature ${feature.id} from Wikidata`);
+    }
+  };
+}
+
+const riverResolvers = {
+  Query: {
+    riverSystem: async (_, { id, depth = 3, direction = 'UPSTREAM', language }, { loaders }) => {
+      resolveEntityId(id);
+      if (depth < 0 || depth > riverNetworkService.maxDepth) {
+        throw new UserInputError(`depth must be between 0 and ${riverNetworkService.maxDepth}`, { depth });
+      }
+      const languages = resolveLanguages(language);
+
+      try {
+        return await riverNetworkService.getRiverSystem(id, { depth, direction, languages, loaders });
+      } catch (error) {
+        console.error(`Error fetching river system of ${id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch river system of ${id} from Wikidata`);
+      }
+    }
+  },
+
+  WaterFeature: {
+    tributaries: relatedFeatures('tributaries'),
+    lakesOnRiver: relatedFeatures('lakesOnRiver'),
+    dams: relatedFeatures('dams'),
+
+    mouthOfTheWatercourse: async (feature, { language }, { loaders }) => {
+      const languages = resolveLanguages(language);
+      try {
+        const relations = await loaders.riverRelations(languages).load(feature.id);
+        const [mouth] = relations.mouthOfTheWatercourse;
+        return mouth ? await loaders.waterFeatureById(languages).load(mouth.id) : null;
+      } catch (error) {
+        console.error(`Error fetching mouth of water feature ${feature.id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch mouth of water feature ${feature.id} from Wikidata`);
+      }
+    },
+
+    drainageBasin: async (feature, { language }, { loaders }) => {
+      const languages = resolveLanguages(language);
+      try {
+        const relations = await loaders.riverRelations(languages).load(feature.id);
+        const [basin] = relations.drainageBasin;
+        return basin ? { ...basin, wikidataUrl: `https://www.wikidata.org/wiki/${basin.id}` } : null;
+      } catch (error) {
+        console.error(`Error fetching drainage basin of water feature ${feature.id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch drainage basin of water feature ${feature.id} from Wikidata`);
+      }
+    }
+  }
+};
+
+module.exports = riverResolvers;
@@ -0,0 +1,102 @@
+// src/resolvers/spatialResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const sparqlClient = require('../utils/sparqlClient');
+const regionService = require('../services/regionService');
+const { distanceKm, isInBox, isValidCoordinate } = require('../utils/geo');
+const { validateFilter, matchesFilter, typesForFilter } = require('../utils/filters');
+const { resolveLanguages, toGraphQLError } = require('./helpers');
+
+/**
+ * Attach the distance from an origin point to every located feature and sort by it
+ * @param {Array} features - Water features
+ * @param {Object} origin - { latitude, longitude }
+ * @returns {Array} - Copies of the features with distanceKm, nearest first
+ */
+function withDistance(features, origin) {
+  return features
+    .filter(feature => feature.location)
+    .map(feature => ({ ...feature, distanceKm: distanceKm(origin, feature.location) }))
+    .sort((a, b) => a.distanceKm - b.distanceKm);
+}
+
+/**
+ * Check the optional filter argument and work out which type datasets to search
+ * @param {Object} args - Query arguments
+ * @param {Array} languages - Language fallback chain, to resolve region names
+ * @returns {Object} - { filter, types }
+ */
+async function resolveFilter({ type, filter }, languages) {
+  try {
+    validateFilter(filter);
+  } catch (error) {
+    throw new UserInputError(error.message, { filter });
+  }
+  const types = typesForFilter(filter, type ? [type] : sparqlClient.waterFeatureTypes);
+  return { filter: await regionService.resolveRegionNames(filter, languages), types };
+}
+
+/**
+ * Apply limit and offset to an already ordered list
+ */
+function paginate(features, { limit, offset }) {
+  const start = offset || 0;
+  return features.slice(start, start + (limit || 100));
+}
+
+const spatialResolvers = {
+  Query: {
+    waterFeaturesNear: async (_, args) => {
+      const { latitude, longitude, radiusKm } = args;
+
+      if (!isValidCoordinate(latitude, longitude)) {
+        throw new UserInputError('Invalid coordinates', { latitude, longitude });
+      }
+      if (!(radiusKm > 0)) {
+        throw new UserInputError('radiusKm must be a positive number', { radiusKm });
+      }
+      const languages = resolveLanguages(args.language);
+      const { filter, types } = await resolveFilter(args, languages);
+
+      try {
+        const features = (await sparqlClient.getAllFeatures(types, languages))
+          .filter(feature => matchesFilter(feature, filter));
+        const near = withDistance(features, { latitude, longitude })
+          .filter(feature => feature.distanceKm <= radiusKm);
+
+        return paginate(near, args);
+      } catch (error) {
+        console.error('Error fetching nearby water features:', error);
+        throw toGraphQLError(error, 'Failed to fetch water features from Wikidata');
+      }
+    },
+
+    waterFeaturesInBox: async (_, args) => {
+      const { minLat, minLon, maxLat, maxLon } = args;
+
+      if (!isValidCoordinate(minLat, minLon) || !isValidCoordinate(maxLat, maxLon)) {
+        throw new UserInputError('Invalid bounding box coordinates', { minLat, minLon, maxLat, maxLon });
+      }
+      if (minLat > maxLat || minLon > maxLon) {
+        throw new UserInputError('Bounding box minimums must not exceed maximums', { minLat, minLon, maxLat, maxLon });
+      }
+      const languages = resolveLanguages(args.language);
+      const { filter, types } = await resolveFilter(args, languages);
+
+      try {
+        const features = (await sparqlClient.getAllFeatures(types, languages))
+          .filter(feature => matchesFilter(feature, filter));
+        const box = { minLat, minLon, maxLat, maxLon };
+        const center = { latitude: (minLat + maxLat) / 2, longitude: (minLon + maxLon) / 2 };
+        const inBox = withDistance(features, center)
+          .filter(feature => isInBox(feature.location, box));
+
+        return paginate(inBox, args);
+      } catch (error) {
+        console.error('Error fetching water features in bounding box:', error);
+        throw toGraphQLError(error, 'Failed to fetch water features from Wikidata');
+      }
+    }
+  }
+};
+
+module.exports = spatialResolvers;
@@ -0,0 +1,23 @@
+// src/resolvers/statsResolvers.js
+const { UserInputError } = require('apollo-server-express');
+const statsService = require('../services/statsService');
+const { resolveLanguages, toGraphQLError } = require('./helpers');
+
+const statsResolvers = {
+  Query: {
+    waterFeatureStats: async (_, { groupBy, filter, language }) => {
+      const languages = resolveLanguages(language);
+      try {
+        return await statsService.getStats({ groupBy, filter, languages });
+      } catch (error) {
+        if (error instanceof RangeError) {
+          throw new UserInputError(error.message);
+        }
+        console.error('Error computing water feature statistics:', error);
+        throw toGraphQLError(error, 'Failed to compute water feature statistics');
+      }
+    }
+  }
+};
+
+module.exports = statsResolvers;
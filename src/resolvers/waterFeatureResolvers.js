@@ -1,51 +1,89 @@
 // src/resolvers/waterFeatureResolvers.js
+const { UserInputError } = require('apollo-server-express');
 const sparqlClient = require('../utils/sparqlClient');
+const waterFeatureService = require('../services/waterFeatureService');
+const { toQuantity } = require('../utils/units');
+const { featureSources } = require('../utils/filters');
+const { isEntityId } = require('../utils/sparqlBuilder');
+const { resolveLanguages, resolveFeatureId, toGraphQLError } = require('./helpers');
 
 const waterFeatureResolvers = {
   Query: {
     waterFeatures: async (_, args) => {
+      const languages = resolveLanguages(args.language);
       try {
-        // If we have a specific type and no other filters, try to use cached data
-        if (args.type && !args.region && !args.minCapacity && !args.minSurfaceArea) {
-          // Get from type-specific cache
-          let features = await sparqlClient.getAllFeaturesOfType(args.type);
-          
-          // Apply sorting and pagination in memory
-          if (args.sortBy) {
-            features.sort((a, b) => {
-              const aValue = a[args.sortBy] || 0;
-              const bValue = b[args.sortBy] || 0;
-              return args.sortOrder === 'DESC' ? bValue - aValue : aValue - bValue;
-            });
-          }
-          
-          // Apply limit and offset
-          const offset = args.offset || 0;
-          const limit = args.limit || 100;
-          features = features.slice(offset, offset + limit);
-          
-          return features;
-        }
-        
-        // For more complex queries, build SPARQL and check query cache
-        const sparqlQuery = sparqlClient.buildWaterFeaturesQuery(args);
-        const results = await sparqlClient.query(sparqlQuery);
-        
-        return sparqlClient.transformResults(results);
+        return await waterFeatureService.findWaterFeatures({ ...args, languages });
       } catch (error) {
+        // Malformed filters are reported as RangeErrors
+        if (error instanceof RangeError) {
+          throw new UserInputError(error.message);
+        }
         console.error('Error fetching water features:', error);
-        throw new Error('Failed to fetch water features from Wikidata');
+        throw toGraphQLError(error, 'Failed to fetch water features from Wikidata');
       }
     },
     
-    waterFeature: async (_, { id }) => {
+    waterFeaturesConnection: async (_, args) => {
+      const languages = resolveLanguages(args.language);
+      try {
+        return await waterFeatureService.findWaterFeaturesConnection({ ...args, languages });
+      } catch (error) {
+        // Bad cursors, page sizes and filters are reported as RangeErrors
+        if (error instanceof RangeError) {
+          throw new UserInputError(error.message);
+        }
+        console.error('Error fetching water features connection:', error);
+        throw toGraphQLError(error, 'Failed to fetch water features from Wikidata');
+      }
+    },
+
+    waterFeature: async (_, { id, language }, { loaders }) => {
+      resolveFeatureId(id);
+      const languages = resolveLanguages(language);
       try {
-        return await sparqlClient.getWaterFeatureById(id);
+        return await loaders.waterFeatureById(languages).load(id);
       } catch (error) {
         console.error(`Error fetching water feature with ID ${id}:`, error);
-        throw new Error(`Failed to fetch water feature ${id} from Wikidata`);
+        throw toGraphQLError(error, `Failed to fetch water feature ${id} from Wikidata`);
+      }
+    },
+
+    waterFeaturesByIds: async (_, { ids, language }, { loaders }) => {
+      ids.forEach(id => resolveFeatureId(id, 'ids'));
+      const languages = resolveLanguages(language);
+      try {
+        const features = await loaders.waterFeatureById(languages).loadMany(ids);
+        const failure = features.find(feature => feature instanceof Error);
+        if (failure) {
+          throw failure;
+        }
+        return features;
+      } catch (error) {
+        console.error(`Error fetching water features with IDs ${ids.join(', ')}:`, error);
+        throw toGraphQLError(error, 'Failed to fetch water features from Wikidata');
       }
     }
+  },
+
+  WaterFeature: {
+    labels: async (feature) => {
+      // OpenStreetMap-only features carry the names of their name:xx tags
+      if (!isEntityId(feature.id)) {
+        return feature.labels || [];
+      }
+      try {
+        return await sparqlClient.getLabels(feature.id);
+      } catch (error) {
+        console.error(`Error fetching labels for water feature ${feature.id}:`, error);
+        throw toGraphQLError(error, `Failed to fetch labels of water feature ${feature.id} from Wikidata`);
+      }
+    },
+    width: (feature, { unit }) => toQuantity(feature, 'width', unit),
+    length: (feature, { unit }) => toQuantity(feature, 'length', unit),
+    surfaceArea: (feature, { unit }) => toQuantity(feature, 'surfaceArea', unit),
+    capacity: (feature, { unit }) => toQuantity(feature, 'capacity', unit),
+    sources: feature => featureSources(feature),
+    osmUrls: feature => (feature.osmIds || []).map(osmId => `https://www.openstreetmap.org/${osmId}`)
   }
 };
 
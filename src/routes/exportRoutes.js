@@ -0,0 +1,190 @@
+// src/routes/exportRoutes.js
+const express = require('express');
+const waterFeatureService = require('../services/waterFeatureService');
+const sparqlClient = require('../utils/sparqlClient');
+const { parseLanguages } = require('../utils/language');
+const { UpstreamError } = require('../utils/errors');
+const { csvHeader, toCsvRow, toGeoJsonFeature } = require('../export/formatters');
+
+const router = express.Router();
+
+/**
+ * Map export query string parameters onto waterFeatures resolver arguments
+ * @param {Object} query - Express request query
+ * @returns {Object} - Resolver arguments
+ */
+function parseFilters(query) {
+  const args = {};
+
+  if (query.type) {
+    const type = String(query.type).toUpperCase();
+    if (!sparqlClient.waterFeatureTypes.includes(type)) {
+      throw new RangeError(`Invalid water feature type: ${query.type}`);
+    }
+    args.type = type;
+  }
+  if (query.region) args.region = String(query.region);
+  if (query.regionId) args.regionId = String(query.regionId);
+  if (query.sortBy) args.sortBy = String(query.sortBy);
+  if (query.sortOrder) args.sortOrder = String(query.sortOrder).toUpperCase();
+
+  // Several sort keys as field[:direction[:nulls]], comma-separated, e.g. sort=type,capacity:desc:last
+  if (query.sort) {
+    args.sort = String(query.sort).split(',').map((key) => {
+      const [field, direction, nulls] = key.trim().split(':');
+      return { field, direction, nulls };
+    });
+  }
+  args.languages = parseLanguages(query.language ? String(query.language) : undefined);
+
+  // A WaterFeatureFilter as JSON, e.g. filter={"capacity":{"gte":1000000}}
+  if (query.filter) {
+    try {
+      args.filter = JSON.parse(String(query.filter));
+    } catch (error) {
+      throw new RangeError('filter must be a JSON WaterFeatureFilter');
+    }
+    if (!args.filter || typeof args.filter !== 'object' || Array.isArray(args.filter)) {
+      throw new RangeError('filter must be a JSON WaterFeatureFilter');
+    }
+  }
+
+  for (const name of ['minCapacity', 'minSurfaceArea']) {
+    if (query[name] !== undefined) {
+      const value = parseFloat(query[name]);
+      if (Number.isNaN(value)) {
+        throw new RangeError(`${name} must be a number`);
+      }
+      args[name] = value;
+    }
+  }
+
+  for (const name of ['limit', 'offset']) {
+    if (query[name] !== undefined) {
+      const value = parseInt(query[name], 10);
+      if (Number.isNaN(value) || value < 0) {
+        throw new RangeError(`${name} must be a non-negative integer`);
+      }
+      args[name] = value;
+    }
+  }
+
+  return args;
+}
+
+/**
+ * Wait until the socket drains, or until the client goes away and it never will
+ * @param {Object} res - Express response
+ */
+function waitForDrain(res) {
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      res.off('error', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+    res.on('error', done);
+  });
+}
+
+/**
+ * Write chunks to the response, waiting for the socket to drain when its buffer is full
+ * @param {Object} res - Express response
+ * @param {Iterable} chunks - Strings to write
+ */
+async function streamChunks(res, chunks) {
+  for (const chunk of chunks) {
+    if (res.destroyed) return;
+    if (!res.write(chunk)) {
+      await waitForDrain(res);
+      if (res.destroyed) return;
+    }
+  }
+  res.end();
+}
+
+/**
+ * Report a SPARQL endpoint failure with a matching HTTP status
+ * @param {Object} res - Express response
+ * @param {UpstreamError} error - Typed upstream error
+ */
+function sendUpstreamError(res, error) {
+  const statusByCode = {
+    UPSTREAM_TIMEOUT: 504,
+    UPSTREAM_RATE_LIMITED: 429,
+    UPSTREAM_UNAVAILABLE: 503
+  };
+  const { code } = error.extensions;
+
+  if (error.retryAfter !== null) {
+    res.set('Retry-After', String(Math.ceil(error.retryAfter / 1000)));
+  }
+  res.status(statusByCode[code] || 502).json({ error: error.message, code });
+}
+
+/**
+ * Wrap an export handler with filter parsing and error handling
+ * @param {Function} handler - (res, features) => Promise
+ */
+function exportHandler(handler) {
+  return async (req, res) => {
+    let args;
+    try {
+      args = parseFilters(req.query);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    try {
+      const features = await waterFeatureService.findWaterFeatures(args);
+      await handler(res, features);
+    } catch (error) {
+      if (error instanceof RangeError && !res.headersSent) {
+        return res.status(400).json({ error: error.message });
+      }
+      console.error('Error exporting water features:', error);
+      if (res.headersSent) {
+        res.destroy(error);
+      } else if (error instanceof UpstreamError) {
+        sendUpstreamError(res, error);
+      } else {
+        res.status(502).json({ error: 'Failed to fetch water features from Wikidata' });
+      }
+    }
+  };
+}
+
+router.get('/water-features.geojson', exportHandler((res, features) => {
+  res.set('Content-Type', 'application/geo+json; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="water-features.geojson"');
+
+  function* chunks() {
+    yield '{"type":"FeatureCollection","features":[';
+    for (let i = 0; i < features.length; i++) {
+      yield (i > 0 ? ',' : '') + JSON.stringify(toGeoJsonFeature(features[i]));
+    }
+    yield ']}';
+  }
+
+  return streamChunks(res, chunks());
+}));
+
+router.get('/water-features.csv', exportHandler((res, features) => {
+  res.set('Content-Type', 'text/csv; charset=utf-8');
+  res.set('Content-Disposition', 'attachment; filename="water-features.csv"');
+
+  function* chunks() {
+    // Byte order mark so spreadsheet applications detect UTF-8 (Cyrillic names)
+    yield '\uFEFF' + csvHeader();
+    for (const feature of features) {
+      yield toCsvRow(feature);
+    }
+  }
+
+  return streamChunks(res, chunks());
+}));
+
+module.exports = router;
@@ -0,0 +1,35 @@
+// src/routes/healthRoutes.js
+const express = require('express');
+const healthService = require('../services/healthService');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Liveness: the process is up and serving HTTP
+router.get('/healthz', (req, res) => {
+  res.json({ status: 'ok' });
+});
+
+// Readiness: every preloaded type dataset is in the cache
+router.get('/readyz', async (req, res) => {
+  try {
+    const { ready, datasets } = await healthService.getReadiness();
+    res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'loading', datasets });
+  } catch (error) {
+    logger.error('Error checking readiness', { error });
+    res.status(503).json({ status: 'error', error: error.message });
+  }
+});
+
+router.get('/metrics', async (req, res) => {
+  try {
+    const { contentType, body } = await healthService.getMetrics();
+    res.set('Content-Type', contentType);
+    res.send(body);
+  } catch (error) {
+    logger.error('Error collecting metrics', { error });
+    res.status(500).send(error.message);
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,5 @@
 // src/schema/typeDefs.js
-const { gql } = require('apollo-server');
+const { gql } = require('apollo-server-express');
 
 const typeDefs = gql`
   enum WaterFeatureType {
@@ -9,39 +9,608 @@ const typeDefs = gql`
     RIVER
   }
 
+  # Where a water feature comes from
+  enum FeatureSource {
+    WIKIDATA
+    OSM
+  }
+
   type Coordinates {
     latitude: Float!
     longitude: Float!
   }
 
+  # The coordinates array of a GeoJSON geometry: [longitude, latitude] positions,
+  # nested by the geometry type
+  scalar GeoJSONCoordinates
+
+  # Where a geometry comes from
+  enum GeometrySource {
+    # The Wikimedia Commons map linked through Wikidata P3896
+    GEOSHAPE
+    # The OpenStreetMap objects imported for the feature
+    OSM
+  }
+
+  # Outline of a lake, reservoir or dam, or course of a river, as a GeoJSON geometry.
+  # The derived values are computed from the full geometry, whatever the tolerance.
+  type Geometry {
+    # Polygon, MultiPolygon, LineString or MultiLineString
+    type: String!
+    coordinates: GeoJSONCoordinates!
+    source: GeometrySource!
+    # Area-weighted centre of the polygons, or length-weighted centre of the lines
+    centroid: Coordinates!
+    # [west, south, east, north]
+    bbox: [Float!]!
+    # Length of the lines, null for polygons
+    lengthKm: Float
+    # Area of the polygons without their holes, null for lines
+    areaKm2: Float
+  }
+
+  # A text value in one language
+  type LocalizedText {
+    language: String!
+    value: String!
+  }
+
+  # A Wikidata item that isn't a water feature itself
+  type WikidataEntity {
+    id: ID!
+    name: String!
+    wikidataUrl: String!
+  }
+
+  enum RiverDirection {
+    # Follow tributaries
+    UPSTREAM
+    # Follow the mouth of each watercourse
+    DOWNSTREAM
+  }
+
+  type RiverSystemNode {
+    feature: WaterFeature!
+    depth: Int!
+    children: [RiverSystemNode!]!
+  }
+
+  type RiverSystem {
+    root: RiverSystemNode!
+    # Every watercourse reached by the walk, the root included
+    rivers: [WaterFeature!]!
+    # Lakes and reservoirs on any of those watercourses
+    lakes: [WaterFeature!]!
+    # Dams on any of those watercourses
+    dams: [WaterFeature!]!
+  }
+
+  enum VolumeUnit {
+    CUBIC_METRE
+    LITRE
+    THOUSAND_CUBIC_METRES
+    MILLION_CUBIC_METRES
+    CUBIC_KILOMETRE
+  }
+
+  enum AreaUnit {
+    SQUARE_METRE
+    HECTARE
+    SQUARE_KILOMETRE
+  }
+
+  enum LengthUnit {
+    METRE
+    KILOMETRE
+  }
+
+  enum PowerUnit {
+    WATT
+    KILOWATT
+    MEGAWATT
+  }
+
+  # A statement as recorded on Wikidata
+  type OriginalQuantity {
+    amount: Float!
+    # Unit label in the requested language, null for values without a unit
+    unit: String
+    # Wikidata ID of the unit
+    unitId: ID
+  }
+
+  type Quantity {
+    # Value in the requested unit; null when Wikidata can't convert the original unit
+    value: Float
+    unit: String!
+    original: OriginalQuantity
+  }
+
+  # Features come from Wikidata, from OpenStreetMap, or both when an OpenStreetMap object
+  # is tagged with the Wikidata ID; OpenStreetMap-only features have IDs such as osm:way/123
   type WaterFeature {
     id: ID!
     name: String!
     type: WaterFeatureType!
     location: Coordinates
     locatedIn: String
-    width: Float
-    length: Float
-    surfaceArea: Float
-    capacity: Float
+    width(unit: LengthUnit = METRE): Quantity
+    length(unit: LengthUnit = METRE): Quantity
+    surfaceArea(unit: AreaUnit = SQUARE_METRE): Quantity
+    capacity(unit: VolumeUnit = CUBIC_METRE): Quantity
     inceptionDate: String
     wikidataUrl: String
     description: String
+    # The name in every language available on Wikidata
+    labels: [LocalizedText!]
+    # Province and municipality containing the feature, from the top down
+    administrativePath(language: String): [Region!]!
+    # Watercourses flowing into this one (P974, or P403 on the tributary)
+    tributaries(language: String): [WaterFeature!]
+    # Where this watercourse flows into (P403)
+    mouthOfTheWatercourse(language: String): WaterFeature
+    # Drainage basin (P4614)
+    drainageBasin(language: String): WikidataEntity
+    # Lakes and reservoirs on this watercourse (P469)
+    lakesOnRiver(language: String): [WaterFeature!]
+    # Dams on this watercourse (P4792, or P177 on the dam)
+    dams(language: String): [WaterFeature!]
+    # Distance in kilometres from the search point, set by spatial queries
+    distanceKm: Float
+    # Readings from the reservoir bulletins between from and to (ISO dates, inclusive), oldest first
+    volumeHistory(from: String, to: String): [VolumeReading!]!
+    # Fill level of the most recent bulletin reading, against capacity
+    currentFillPercent: Float
+    sources: [FeatureSource!]!
+    # The OpenStreetMap objects of the feature
+    osmUrls: [String!]!
+    # Outline or course, simplified so no removed point lies more than tolerance metres
+    # from the result (0 keeps every point; GEOMETRY_TOLERANCE by default).
+    # Null when the feature has neither a geoshape nor imported OpenStreetMap geometry.
+    geometry(tolerance: Float): Geometry
+    # Engineering details; null for lakes, rivers and OpenStreetMap-only features
+    damDetails(language: String): DamDetails
+  }
+
+  # A power station at a dam, part of it (P361, P527) or listing it (P4792)
+  type PowerStation {
+    id: ID!
+    name: String!
+    wikidataUrl: String!
+    # Installed capacity (P2109)
+    installedCapacity(unit: PowerUnit = WATT): Quantity
+  }
+
+  # Engineering details of a dam or reservoir, read from Wikidata
+  type DamDetails {
+    # Height (P2048)
+    height(unit: LengthUnit = METRE): Quantity
+    # The length (P2043) of a dam, which Wikidata records along its crest; null for reservoirs
+    crestLength(unit: LengthUnit = METRE): Quantity
+    # Kinds of dam the item is an instance of, e.g. arch dam or embankment dam
+    damTypes: [WikidataEntity!]!
+    # Operator (P137)
+    operators: [WikidataEntity!]!
+    # Owner (P127)
+    owners: [WikidataEntity!]!
+    # Purpose (P366), e.g. irrigation or hydroelectricity
+    purposes: [WikidataEntity!]!
+    # The watercourse listing the dam (P4792), or else crossed by it (P177); the lowest
+    # Wikidata ID when several do
+    impoundedRiver: WaterFeature
+    powerStations: [PowerStation!]!
+  }
+
+  # A reservoir's volume on one day, from an imported bulletin
+  type VolumeReading {
+    date: String!
+    # Null when the bulletin only gives a percentage
+    volume(unit: VolumeUnit = CUBIC_METRE): Float
+    # Percent of capacity
+    fillPercent: Float
+    # Name of the dam in the bulletin and the file it was imported from
+    bulletinName: String!
+    source: String!
+  }
+
+  type WaterFeatureEdge {
+    node: WaterFeature!
+    cursor: String!
+  }
+
+  type PageInfo {
+    hasNextPage: Boolean!
+    hasPreviousPage: Boolean!
+    startCursor: String
+    endCursor: String
+  }
+
+  # Relay-style page of water features. Cursors encode the position in the sort
+  # order, so they stay valid when the cached data is refreshed.
+  type WaterFeatureConnection {
+    edges: [WaterFeatureEdge!]!
+    pageInfo: PageInfo!
+    totalCount: Int!
+  }
+
+  # Freshness of a preloaded type dataset
+  type DatasetStatus {
+    type: WaterFeatureType!
+    language: String!
+    featureCount: Int!
+    lastRefreshedAt: String
+    # True once the dataset is older than DATASET_MAX_AGE; it is still served while a refresh runs
+    isStale: Boolean!
+    isRefreshing: Boolean!
+    lastError: String
+    lastErrorAt: String
+  }
+
+  enum WaterFeatureSortField {
+    NAME
+    TYPE
+    LOCATED_IN
+    CAPACITY
+    SURFACE_AREA
+    LENGTH
+    WIDTH
+    INCEPTION_DATE
+    ID
+  }
+
+  enum SortDirection {
+    ASC
+    DESC
+  }
+
+  enum NullsOrder {
+    FIRST
+    LAST
+  }
+
+  # One sort key. Text is collated for the first language of the query's language argument,
+  # so Cyrillic names sort in Bulgarian alphabetical order.
+  input WaterFeatureSort {
+    field: WaterFeatureSortField!
+    direction: SortDirection = ASC
+    # Where features without a value go, regardless of direction
+    nulls: NullsOrder = LAST
+  }
+
+  # Inclusive (gte, lte) and exclusive (gt, lt) bounds; features without a value never match
+  input FloatRange {
+    gte: Float
+    gt: Float
+    lte: Float
+    lt: Float
+  }
+
+  # Narrows down the features a query works on; all conditions must match.
+  # Filters are evaluated in memory over the preloaded datasets.
+  input WaterFeatureFilter {
+    types: [WaterFeatureType!]
+    # Features from any of these sources
+    sources: [FeatureSource!]
+    # Case-insensitive substring of the name
+    nameContains: String
+    # Case-insensitive substring of locatedIn or of the name of a province or municipality
+    # containing the feature; prefer regionId
+    region: String
+    # Wikidata ID of a province or municipality; matches everything contained in it
+    regionId: ID
+    # Case-insensitive substring of the name of an operator (P137); prefer operatorId
+    operator: String
+    # Wikidata ID of an operator
+    operatorId: ID
+    # Case-insensitive substring of the name of a purpose (P366), e.g. "irrigation"; prefer purposeId
+    purpose: String
+    # Wikidata ID of a purpose
+    purposeId: ID
+    hasLocation: Boolean
+    capacity: FloatRange
+    surfaceArea: FloatRange
+    length: FloatRange
+    width: FloatRange
+    minCapacity: Float
+    minSurfaceArea: Float
+    # ISO 8601 dates (e.g. "1970" or "1970-05-01"); features without an inception date never match
+    inceptionBefore: String
+    inceptionAfter: String
+    # Every nested filter must match
+    and: [WaterFeatureFilter!]
+    # At least one nested filter must match
+    or: [WaterFeatureFilter!]
+    # The nested filter must not match
+    not: WaterFeatureFilter
+  }
+
+  enum RegionLevel {
+    PROVINCE
+    MUNICIPALITY
+  }
+
+  # An administrative region: one of the 28 provinces (oblasts) or a municipality
+  type Region {
+    id: ID!
+    name: String!
+    level: RegionLevel!
+    parent: Region
+    children: [Region!]!
+    wikidataUrl: String!
+  }
+
+  enum DataSourceMode {
+    WIKIDATA
+    # Served from a snapshot file, without contacting Wikidata
+    SNAPSHOT
+  }
+
+  type SnapshotInfo {
+    version: Int!
+    createdAt: String!
+    # SPARQL endpoint the snapshot was taken from
+    endpoint: String!
+    # Language fallback chains in the snapshot
+    languages: [String!]!
+    featureCount: Int!
+  }
+
+  type DataSource {
+    mode: DataSourceMode!
+    endpoint: String
+    # Present in snapshot mode
+    snapshot: SnapshotInfo
+  }
+
+  enum ChangeType {
+    ADDED
+    REMOVED
+    MODIFIED
+  }
+
+  # Values are strings; objects such as location are JSON encoded
+  type FieldChange {
+    field: String!
+    oldValue: String
+    newValue: String
+  }
+
+  # A difference between two refreshes of a type dataset
+  type WaterFeatureChange {
+    id: ID!
+    featureId: ID!
+    name: String
+    # The type dataset the change was first detected in
+    type: WaterFeatureType!
+    # Every type dataset containing the feature that the change was detected in
+    types: [WaterFeatureType!]!
+    # Language fallback chain of the dataset
+    language: String!
+    changeType: ChangeType!
+    changes: [FieldChange!]!
+    detectedAt: String!
+  }
+
+  # Cache entries sharing a key prefix (ALL, FEATURE, LABELS, RIVER, ...; QUERY for SPARQL results)
+  type CacheFamilyStatus {
+    family: String!
+    entries: Int!
+    expired: Int!
+    sizeBytes: Int!
+    oldestAgeSeconds: Float
+    newestAgeSeconds: Float
+    minTtlSeconds: Float
+    maxTtlSeconds: Float
+    withoutTtl: Int!
+    # Entries that are never evicted (preloaded datasets, snapshot contents)
+    pinned: Int!
+    # Lookups and evictions since the process started
+    hits: Int!
+    misses: Int!
+    staleHits: Int!
+    hitRate: Float
+    evictions: Int!
+  }
+
+  type CacheStatus {
+    backend: String!
+    entries: Int!
+    sizeBytes: Int!
+    hits: Int!
+    misses: Int!
+    staleHits: Int!
+    hitRate: Float
+    pinned: Int!
+    # Least recently used entries evicted to stay within the limits
+    evictions: Int!
+    evictedSizeBytes: Float!
+    # Limits of the memory backend; null when the backend is unbounded
+    maxEntries: Int
+    maxSizeBytes: Float
+    families: [CacheFamilyStatus!]!
+  }
+
+  enum StatsGroupBy {
+    TYPE
+    # Groups by the province (oblast) containing the feature
+    REGION
+  }
+
+  # Summary of one measurement; count and missing are numbers of features with and without a value
+  type NumericStats {
+    count: Int!
+    missing: Int!
+    total: Float
+    average: Float
+    min: Float
+    max: Float
+  }
+
+  type WaterFeatureStatsGroup {
+    # The type, or the Wikidata ID of the province (null for features outside any province)
+    key: String
+    # Name of the province when grouping by REGION
+    name: String
+    count: Int!
+    capacity: NumericStats!
+    surfaceArea: NumericStats!
+  }
+
+  enum DataQualityIssueType {
+    # Features of the same type with the same name
+    DUPLICATE_NAME
+    MISSING_COORDINATES
+    # A measurement features of the type usually have (e.g. capacity of a reservoir)
+    MISSING_MEASUREMENT
+    # Zero, negative or far too large for the type
+    IMPLAUSIBLE_VALUE
+    # Coordinates outside the bounding box of Bulgaria
+    OUTSIDE_BULGARIA
+  }
+
+  type DataQualityIssue {
+    issueType: DataQualityIssueType!
+    feature: WaterFeature!
+    # Measurement concerned (MISSING_MEASUREMENT, IMPLAUSIBLE_VALUE)
+    field: String
+    # Implausible value in SI units
+    value: Float
+    message: String!
+    # The other features with the same name (DUPLICATE_NAME)
+    relatedFeatures: [WaterFeature!]
+  }
+
+  type DataQualityIssueCount {
+    issueType: DataQualityIssueType!
+    count: Int!
   }
 
+  type DataQualityReport {
+    generatedAt: String!
+    # Features checked
+    featureCount: Int!
+    # Issues found, before limit and offset
+    issueCount: Int!
+    counts: [DataQualityIssueCount!]!
+    issues: [DataQualityIssue!]!
+  }
+
+  # Lists are sorted by sort (several keys, applied in order), or by the single
+  # sortBy/sortOrder pair; name is the default. Ties are broken by id.
+  # The language argument is a comma-separated fallback chain, e.g. "bg,en":
+  # names, regions and descriptions use the first language that has a value.
   type Query {
     waterFeatures(
       type: WaterFeatureType
       region: String
+      regionId: ID
       minCapacity: Float
       minSurfaceArea: Float
-      sortBy: String
-      sortOrder: String
+      filter: WaterFeatureFilter
+      sort: [WaterFeatureSort!]
+      sortBy: WaterFeatureSortField
+      sortOrder: SortDirection
       limit: Int
       offset: Int
+      language: String
     ): [WaterFeature]
     
-    waterFeature(id: ID!): WaterFeature
+    waterFeaturesConnection(
+      type: WaterFeatureType
+      region: String
+      regionId: ID
+      minCapacity: Float
+      minSurfaceArea: Float
+      filter: WaterFeatureFilter
+      sort: [WaterFeatureSort!]
+      sortBy: WaterFeatureSortField
+      sortOrder: SortDirection
+      first: Int
+      after: String
+      last: Int
+      before: String
+      language: String
+    ): WaterFeatureConnection!
+
+    waterFeature(id: ID!, language: String): WaterFeature
+
+    # Features in the same order as ids (null for unknown IDs), fetched in one batch.
+    # Both take Wikidata IDs and OpenStreetMap feature IDs.
+    waterFeaturesByIds(ids: [ID!]!, language: String): [WaterFeature]!
+
+    datasetStatus: [DatasetStatus!]!
+
+    # Where the data comes from
+    dataSource: DataSource!
+
+    # Cache contents and counters; needs the admin token
+    cacheStatus: CacheStatus!
+
+    # Changes detected after since (ISO 8601), oldest first; only the most recent changes are kept
+    waterFeatureChanges(since: String, types: [WaterFeatureType!], limit: Int = 100, language: String): [WaterFeatureChange!]!
+
+    # Provinces and municipalities of Bulgaria, sorted by name
+    regions(level: RegionLevel, parentId: ID, language: String): [Region!]!
+
+    region(id: ID!, language: String): Region
+
+    # Reservoirs with the lowest fill level in their most recent bulletin reading
+    lowestFillReservoirs(limit: Int = 10, language: String): [WaterFeature!]!
+
+    # Problems in the preloaded datasets to fix on Wikidata, by issue type, then name
+    dataQualityReport(
+      types: [WaterFeatureType!]
+      issueTypes: [DataQualityIssueType!]
+      limit: Int = 100
+      offset: Int = 0
+      language: String
+    ): DataQualityReport!
+
+    # Statistics computed from the preloaded datasets
+    waterFeatureStats(groupBy: StatsGroupBy!, filter: WaterFeatureFilter, language: String): [WaterFeatureStatsGroup!]!
+
+    # Walk the river network from a watercourse, up to depth levels (at most 10)
+    riverSystem(id: ID!, depth: Int = 3, direction: RiverDirection = UPSTREAM, language: String): RiverSystem
+
+    # Features within radiusKm of a point, nearest first
+    waterFeaturesNear(
+      latitude: Float!
+      longitude: Float!
+      radiusKm: Float!
+      type: WaterFeatureType
+      filter: WaterFeatureFilter
+      limit: Int
+      offset: Int
+      language: String
+    ): [WaterFeature]
+
+    # Features inside a bounding box, ordered by distance from its center
+    waterFeaturesInBox(
+      minLat: Float!
+      minLon: Float!
+      maxLat: Float!
+      maxLon: Float!
+      type: WaterFeatureType
+      filter: WaterFeatureFilter
+      limit: Int
+      offset: Int
+      language: String
+    ): [WaterFeature]
+  }
+
+  # Admin operations; they need the ADMIN_TOKEN as a bearer token
+  type Mutation {
+    # Rebuild a type dataset now, even if it is fresh
+    refreshFeatureType(type: WaterFeatureType!, language: String): DatasetStatus!
+    # Drop the cached feature, labels and river links of an entity; returns the number of removed entries
+    invalidateFeature(id: ID!): Int!
+    # Drop every cached SPARQL query result; returns the number of removed entries
+    clearQueryCache: Int!
+  }
+
+  type Subscription {
+    # Every change detected when a dataset in the language chain is refreshed
+    waterFeatureChanged(types: [WaterFeatureType!], language: String): WaterFeatureChange!
   }
 `;
 
@@ -0,0 +1,19 @@
+// src/scripts/createSnapshot.js
+// Usage: npm run snapshot -- [output file, default snapshots/snapshot.json]
+require('dotenv').config();
+const snapshotService = require('../services/snapshotService');
+const cacheManager = require('../cache/cacheManager');
+
+async function createSnapshot() {
+  const output = process.argv[2] || 'snapshots/snapshot.json';
+  const snapshot = await snapshotService.create();
+  await snapshotService.write(output, snapshot);
+  console.log(`Wrote snapshot of ${snapshot.featureCount} features (${snapshot.languages.join('; ')}) to ${output}`);
+}
+
+createSnapshot()
+  .catch((error) => {
+    console.error('Error creating snapshot:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => cacheManager.close());
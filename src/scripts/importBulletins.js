@@ -0,0 +1,26 @@
+// src/scripts/importBulletins.js
+// Usage: npm run import-bulletins -- [directory, default BULLETIN_DIR or bulletins]
+require('dotenv').config();
+const fillLevelService = require('../services/fillLevelService');
+const cacheManager = require('../cache/cacheManager');
+
+async function importBulletins() {
+  const directory = process.argv[2] || fillLevelService.bulletinDir;
+  const result = await fillLevelService.importDirectory(directory);
+
+  console.log(`Imported ${result.readings} readings from ${result.files} files in ${directory} into ${fillLevelService.storePath}`);
+  result.errors.forEach(({ file, message }) => console.warn(`Skipped ${file}: ${message}`));
+  result.ambiguous.forEach(({ name, candidates }) => {
+    console.warn(`"${name}" matches several dams (${candidates.join(', ')}); add it to ${fillLevelService.aliasesPath}`);
+  });
+  result.unmatched.forEach(({ name, files }) => {
+    console.warn(`"${name}" matches no dam (in ${files.length} files); add it to ${fillLevelService.aliasesPath}`);
+  });
+}
+
+importBulletins()
+  .catch((error) => {
+    console.error('Error importing bulletins:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => cacheManager.close());
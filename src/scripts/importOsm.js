@@ -0,0 +1,27 @@
+// src/scripts/importOsm.js
+// Usage: npm run import-osm -- <extract.geojson | extract.osm.pbf>
+require('dotenv').config();
+const osmService = require('../services/osmService');
+
+async function importOsm() {
+  const file = process.argv[2];
+  if (!file) {
+    throw new Error('Usage: npm run import-osm -- <extract.geojson | extract.osm.pbf>');
+  }
+  const result = await osmService.importFile(file);
+
+  const byType = Object.entries(result.byType).map(([type, count]) => `${count} ${type}`).join(', ');
+  console.log(`Imported ${result.objects} objects (${byType || 'none'}) from ${file} into ${osmService.storePath}`);
+  console.log(`${result.withWikidata} objects carry a wikidata tag`);
+  if (result.withoutGeometry > 0) {
+    console.warn(`${result.withoutGeometry} objects have no geometry (nodes missing from the extract) and no location`);
+  }
+  if (result.skipped > 0) {
+    console.warn(`Skipped ${result.skipped} GeoJSON features without an OpenStreetMap ID; export with IDs (e.g. osmium export --add-unique-id=type_id)`);
+  }
+}
+
+importOsm().catch((error) => {
+  console.error('Error importing OpenStreetMap data:', error);
+  process.exitCode = 1;
+});
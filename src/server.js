@@ -1,36 +1,123 @@
 // src/index.js
 require('dotenv').config();
-const { ApolloServer } = require('apollo-server');
+const http = require('http');
+const express = require('express');
+const { ApolloServer } = require('apollo-server-express');
+const { makeExecutableSchema } = require('@graphql-tools/schema');
+const { WebSocketServer } = require('ws');
+const { useServer } = require('graphql-ws/lib/use/ws');
 const { typeDefs } = require('./schema');
 const resolvers = require('./resolvers');
+const exportRoutes = require('./routes/exportRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const { createLoaders } = require('./loaders');
 const sparqlClient = require('./utils/sparqlClient');
 const cacheManager = require('./cache/cacheManager');
+const refreshScheduler = require('./cache/refreshScheduler');
+const snapshotService = require('./services/snapshotService');
+const { bearerToken } = require('./utils/auth');
+const logger = require('./utils/logger');
+const { graphqlOperations, graphqlOperationDuration } = require('./utils/metrics');
+
+// One schema for HTTP queries and WebSocket subscriptions
+const schema = makeExecutableSchema({ typeDefs, resolvers });
+
+// Fresh loaders per request, so lookups are batched within a request but never shared.
+// Admin operations check the bearer token; WebSocket operations have none.
+const createContext = ({ req } = {}) => ({
+  loaders: createLoaders(),
+  adminToken: bearerToken(req)
+});
+
+/**
+ * Label of an operation in the metrics: the schema field it starts with. Operation names
+ * are chosen by clients, so they would add a series for every name sent.
+ * @param {Object} operation - Parsed operation (null when the document didn't parse)
+ * @returns {String} - Root field name, or "other"
+ */
+function operationLabel(operation) {
+  if (!operation) return 'other';
+  const rootType = schema.getRootType(operation.operation);
+  const field = operation.selectionSet.selections.find(selection => selection.kind === 'Field');
+  return rootType && field && rootType.getFields()[field.name.value] ? field.name.value : 'other';
+}
+
+// graphql-ws server handling subscriptions, set up in startServer
+let subscriptionServer = null;
 
 // Create Apollo Server
 const server = new ApolloServer({
-  typeDefs,
-  resolvers,
+  schema,
+  context: createContext,
   introspection: true,  // Enable schema introspection for development
   playground: true,     // Enable GraphQL Playground for development
   formatError: (error) => {
-    console.error('GraphQL Error:', error);
+    logger.error('GraphQL error', { error: error.originalError || error, path: error.path });
+    const { code, retryAfterSeconds } = error.extensions || {};
     return {
       message: error.message,
-      path: error.path
+      path: error.path,
+      // Keep the error code (e.g. UPSTREAM_TIMEOUT) so clients can react to it
+      extensions: { code, retryAfterSeconds }
     };
   },
   // Add plugin for cache preloading
   plugins: [
     {
       serverWillStart: async () => {
-        console.log('Server starting, preloading cache...');
-        try {
-          await sparqlClient.preloadCache();
-          console.log('Cache preloaded successfully');
-        } catch (error) {
-          console.error('Error preloading cache:', error);
+        // Snapshot mode serves a file and never refreshes; a missing or bad file stops the server
+        if (sparqlClient.offline) {
+          const snapshot = await snapshotService.load(sparqlClient.snapshotPath);
+          logger.info('Serving snapshot', { path: snapshot.path, endpoint: snapshot.endpoint, createdAt: snapshot.createdAt });
+          return;
         }
+
+        // Preload without holding up the server, so /healthz answers right away;
+        // /readyz reports ready once the datasets are in the cache
+        logger.info('Server starting, preloading cache');
+        sparqlClient.preloadCache()
+          .catch((error) => {
+            logger.error('Error preloading cache', { error });
+          })
+          .finally(() => {
+            // Keep the preloaded datasets fresh in the background
+            refreshScheduler.start();
+          });
+      }
+    },
+    {
+      // Count and time every operation for /metrics
+      requestDidStart: async () => {
+        const endTimer = graphqlOperationDuration.startTimer();
+        return {
+          willSendResponse: async ({ operation, errors }) => {
+            const labels = {
+              operation: operationLabel(operation),
+              type: operation ? operation.operation : 'unknown'
+            };
+            const status = errors && errors.length > 0 ? 'error' : 'ok';
+            const seconds = endTimer(labels);
+            graphqlOperations.inc({ ...labels, status });
+            // The log keeps the client's own name, which doesn't cost a series there
+            logger.info('GraphQL operation', {
+              ...labels,
+              operationName: operation && operation.name ? operation.name.value : 'anonymous',
+              status,
+              durationMs: Math.round(seconds * 1000)
+            });
+          }
+        };
       }
+    },
+    {
+      // Close open subscriptions when the server stops
+      serverWillStart: async () => ({
+        drainServer: async () => {
+          if (subscriptionServer) {
+            await subscriptionServer.dispose();
+          }
+        }
+      })
     }
   ]
 });
@@ -41,11 +128,40 @@ const PORT = process.env.PORT || 4000;
 // Schedule periodic cache cleanup
 const CACHE_CLEANUP_INTERVAL = process.env.CACHE_CLEANUP_INTERVAL || 3600000
 setInterval(() => {
-  console.log('Running scheduled cache cleanup');
-  cacheManager.cleanupExpiredEntries();
+  logger.info('Running scheduled cache cleanup');
+  cacheManager.cleanupExpiredEntries().catch((error) => {
+    logger.error('Error cleaning up cache', { error });
+  });
 }, CACHE_CLEANUP_INTERVAL);
 
 // Start the server
-server.listen(PORT).then(({ url }) => {
-  console.log(`Bulgaria Water Features GraphQL API ready at ${url}`);
+async function startServer() {
+  const app = express();
+
+  // Every request gets an ID that is included in its log lines
+  app.use(logger.requestContext());
+
+  // Kubernetes probes and Prometheus metrics
+  app.use(healthRoutes);
+
+  // GeoJSON and CSV exports for clients that can't use GraphQL
+  app.use('/export', exportRoutes);
+
+  await server.start();
+  server.applyMiddleware({ app, path: '/' });
+
+  // Subscriptions use the graphql-ws protocol on the same path
+  const httpServer = http.createServer(app);
+  const wsServer = new WebSocketServer({ server: httpServer, path: server.graphqlPath });
+  subscriptionServer = useServer({ schema, context: createContext }, wsServer);
+
+  httpServer.listen(PORT, () => {
+    logger.info(`Bulgaria Water Features GraphQL API ready at http://localhost:${PORT}${server.graphqlPath}`);
+    logger.info(`Subscriptions ready at ws://localhost:${PORT}${server.graphqlPath}`);
+  });
+}
+
+startServer().catch((error) => {
+  logger.error('Error starting server', { error });
+  process.exit(1);
 });
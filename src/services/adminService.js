@@ -0,0 +1,74 @@
+// src/services/adminService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const { languageKey } = require('../utils/language');
+
+class AdminService {
+    /**
+     * Rebuild a type dataset from Wikidata now, whether or not it is stale
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     * @returns {Object} - Status of the dataset after the refresh
+     */
+    async refreshFeatureType(type, languages) {
+        await sparqlClient.refreshFeatureType(type, languages);
+        const statuses = await sparqlClient.getDatasetStatus();
+        return statuses.find(status => status.type === type && languageKey(status.languages) === languageKey(languages));
+    }
+
+    /**
+     * Drop everything cached for one entity: the feature fetched by ID, its labels, its
+     * river relations and its dam details, in every language. Copies inside the type datasets are only
+     * replaced by refreshing the dataset.
+     * @param {String} id - Wikidata entity ID
+     * @returns {Number} - Number of removed entries
+     */
+    async invalidateFeature(id) {
+        const removed = await cacheManager.deleteMatching(key =>
+            key === sparqlClient.labelsCacheKey(id)
+            || key.startsWith(`FEATURE_${id}:`)
+            || key.startsWith(`RIVER_${id}:`)
+            || key.startsWith(`DAM_${id}:`)
+        );
+        console.log(`Invalidated ${removed} cache entries of ${id}`);
+        return removed;
+    }
+
+    /**
+     * Drop every cached SPARQL query result
+     * @returns {Number} - Number of removed entries
+     */
+    async clearQueryCache() {
+        const removed = await cacheManager.deleteMatching(key => cacheManager.keyFamily(key) === 'QUERY');
+        console.log(`Cleared ${removed} cached query results`);
+        return removed;
+    }
+
+    /**
+     * Describe the cache, per key family
+     * @returns {Object} - { backend, entries, sizeBytes, hits, misses, staleHits, pinned, evictions,
+     *                      evictedSizeBytes, maxEntries, maxSizeBytes, families }
+     */
+    async getCacheStatus() {
+        const families = await cacheManager.getStatus();
+        const total = field => families.reduce((sum, family) => sum + family[field], 0);
+        const storage = cacheManager.getStorageStats();
+
+        return {
+            backend: cacheManager.storage.constructor.name.replace(/Adapter$/, '').toLowerCase(),
+            entries: total('entries'),
+            sizeBytes: total('sizeBytes'),
+            hits: total('hits'),
+            misses: total('misses'),
+            staleHits: total('staleHits'),
+            pinned: total('pinned'),
+            evictions: total('evictions'),
+            evictedSizeBytes: storage ? storage.evictedBytes : 0,
+            maxEntries: storage ? storage.maxEntries : null,
+            maxSizeBytes: storage ? storage.maxBytes : null,
+            families
+        };
+    }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,179 @@
+// src/services/changeService.js
+const { PubSub } = require('graphql-subscriptions');
+const sparqlClient = require('../utils/sparqlClient');
+const { languageKey } = require('../utils/language');
+
+// Fields compared between two versions of a feature
+const TRACKED_FIELDS = [
+    'name',
+    'type',
+    'location',
+    'locatedIn',
+    'width',
+    'length',
+    'surfaceArea',
+    'capacity',
+    'inceptionDate',
+    'description'
+];
+
+const CHANGE_EVENT = 'WATER_FEATURE_CHANGED';
+
+/**
+ * Format a field value for a change record; objects such as location are JSON encoded
+ * @param {*} value
+ * @returns {String|null}
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return null;
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Detects added, removed and modified features whenever a type dataset is refreshed,
+ * keeps the most recent changes and publishes each one to subscribers.
+ */
+class ChangeService {
+    constructor() {
+        this.maxEntries = parseInt(process.env.CHANGE_LOG_SIZE, 10) || 1000;
+        this.entries = [];
+        // Latest recorded change per language chain and feature
+        this.latest = new Map();
+        this.nextId = 1;
+        this.pubsub = new PubSub();
+
+        sparqlClient.on('datasetRefreshed', ({ type, languages, previous, dataset }) => {
+            try {
+                this.recordRefresh(type, languages, previous, dataset);
+            } catch (error) {
+                console.error(`Error recording changes of ${type} data:`, error);
+            }
+        });
+    }
+
+    /**
+     * Compare two versions of a feature field by field
+     * @param {Object} before - Previous version
+     * @param {Object} after - New version
+     * @returns {Array} - [{ field, oldValue, newValue }]
+     */
+    diffFeature(before, after) {
+        return TRACKED_FIELDS
+            .map(field => ({ field, oldValue: formatValue(before[field]), newValue: formatValue(after[field]) }))
+            .filter(change => change.oldValue !== change.newValue);
+    }
+
+    /**
+     * Compare two versions of a type dataset
+     * @param {Array} previousFeatures - Features before the refresh
+     * @param {Array} features - Features after the refresh
+     * @returns {Array} - [{ feature, changeType, changes }]
+     */
+    diffDatasets(previousFeatures, features) {
+        const before = new Map(previousFeatures.map(feature => [feature.id, feature]));
+        const after = new Map(features.map(feature => [feature.id, feature]));
+        const diff = [];
+
+        for (const [id, feature] of after) {
+            if (!before.has(id)) {
+                diff.push({ feature, changeType: 'ADDED', changes: this.diffFeature({}, feature) });
+                continue;
+            }
+            const changes = this.diffFeature(before.get(id), feature);
+            if (changes.length > 0) {
+                diff.push({ feature, changeType: 'MODIFIED', changes });
+            }
+        }
+        for (const [id, feature] of before) {
+            if (!after.has(id)) {
+                diff.push({ feature, changeType: 'REMOVED', changes: this.diffFeature(feature, {}) });
+            }
+        }
+
+        return diff;
+    }
+
+    /**
+     * Record the changes of a dataset refresh. The first load of a dataset has nothing to compare to.
+     * A feature in several type datasets (e.g. a reservoir that is also a lake) is compared in
+     * each of them; a change already recorded through another dataset only gains that type.
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain of the dataset
+     * @param {Object|null} previous - Previous { features, refreshedAt }
+     * @param {Object} dataset - New { features, refreshedAt }
+     * @returns {Array} - The recorded changes
+     */
+    recordRefresh(type, languages, previous, dataset) {
+        if (!previous) return [];
+
+        const language = languageKey(languages);
+        const detectedAt = dataset.refreshedAt;
+        const recorded = [];
+        for (const { feature, changeType, changes } of this.diffDatasets(previous.features, dataset.features)) {
+            const key = `${language}|${feature.id}`;
+            const last = this.latest.get(key);
+            // Every dataset is rebuilt within datasetMaxAge, so that is when the others see it
+            if (last && !last.types.includes(type) && last.changeType === changeType
+                && detectedAt - last.detectedAt <= sparqlClient.datasetMaxAge
+                && JSON.stringify(last.changes) === JSON.stringify(changes)) {
+                last.types.push(type);
+                // Only subscribers to this type that haven't had the change get it
+                this.pubsub.publish(CHANGE_EVENT, { ...last, types: [...last.types], newTypes: [type] });
+                continue;
+            }
+
+            const change = {
+                id: String(this.nextId++),
+                featureId: feature.id,
+                name: feature.name,
+                type,
+                types: [type],
+                language,
+                changeType,
+                changes,
+                detectedAt
+            };
+            this.latest.set(key, change);
+            recorded.push(change);
+        }
+
+        this.entries.push(...recorded);
+        // Keep the change log bounded; the oldest changes go first
+        if (this.entries.length > this.maxEntries) {
+            for (const change of this.entries.splice(0, this.entries.length - this.maxEntries)) {
+                const key = `${change.language}|${change.featureId}`;
+                if (this.latest.get(key) === change) this.latest.delete(key);
+            }
+        }
+
+        if (recorded.length > 0) {
+            console.log(`Detected ${recorded.length} change(s) in ${type} data (${language})`);
+        }
+        recorded.forEach(change => this.pubsub.publish(CHANGE_EVENT, { ...change, types: [type], newTypes: [type] }));
+        return recorded;
+    }
+
+    /**
+     * Changes detected after a point in time, oldest first
+     * @param {Object} options - since (timestamp in milliseconds), types, languages, limit (all optional)
+     * @returns {Array}
+     */
+    getChanges({ since = 0, types, languages, limit = 100 } = {}) {
+        const language = languages ? languageKey(languages) : null;
+        return this.entries
+            .filter(change => change.detectedAt > since)
+            .filter(change => !types || types.length === 0 || change.types.some(type => types.includes(type)))
+            .filter(change => !language || change.language === language)
+            .slice(0, limit);
+    }
+
+    /**
+     * Async iterator of changes as they are detected, for GraphQL subscriptions
+     * @returns {AsyncIterator}
+     */
+    subscribe() {
+        return this.pubsub.asyncIterator(CHANGE_EVENT);
+    }
+}
+
+module.exports = new ChangeService();
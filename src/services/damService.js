@@ -0,0 +1,180 @@
+// src/services/damService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const sparql = require('../utils/sparqlBuilder');
+const { parseQuantity } = require('../utils/units');
+const { languageKey } = require('../utils/language');
+
+// Types that have dam details
+const DAM_TYPES = ['DAM', 'RESERVOIR'];
+
+// Lists of related items and how they are read from Wikidata
+const RELATIONS = ['damTypes', 'operators', 'owners', 'purposes', 'impoundedRivers', 'powerStations'];
+
+/**
+ * Engineering details of dams and reservoirs, read per feature on demand
+ */
+class DamService {
+    constructor() {
+        this.cacheTTL = 12 * 60 * 60 * 1000; // 12 hours, like the type datasets
+    }
+
+    /**
+     * Check whether a feature can have dam details
+     * @param {Object} feature - Water feature
+     * @returns {Boolean}
+     */
+    hasDetails(feature) {
+        return DAM_TYPES.includes(feature.type) && sparql.isEntityId(feature.id);
+    }
+
+    /**
+     * Build a SPARQL query for the details of several dams and reservoirs
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain
+     * @returns {String} - SPARQL query string
+     */
+    buildDetailsQuery(ids, languages) {
+        return `
+        SELECT ?item ?relation ?related (SAMPLE(?relatedLabel) AS ?relatedLabel) (MIN(?linkRank) AS ?linkRank)
+                (MAX(?heightQuantity) AS ?heightQuantity)
+                (MAX(?installedCapacityQuantity) AS ?installedCapacityQuantity)
+        WHERE {
+            ${sparql.values('?item', ids)}
+
+            {
+                # Height (P2048); ?related is bound so the label patterns below stay selective
+                ${sparqlClient.buildQuantityPatterns('?item', 'height', languages)}
+                BIND(?item AS ?related)
+                BIND("height" AS ?relation)
+            } UNION {
+                # Kind of dam: what the item is an instance of below "dam" itself
+                ?item wdt:P31 ?related.
+                ?related wdt:P279+ ${sparql.entity('Q12323')}.
+                BIND("damTypes" AS ?relation)
+            } UNION {
+                # Operator (P137)
+                ?item wdt:P137 ?related.
+                BIND("operators" AS ?relation)
+            } UNION {
+                # Owner (P127)
+                ?item wdt:P127 ?related.
+                BIND("owners" AS ?relation)
+            } UNION {
+                # Purpose (P366, has use)
+                ?item wdt:P366 ?related.
+                BIND("purposes" AS ?relation)
+            } UNION {
+                # Watercourses listing the dam (P4792), or crossed by it (P177); ?linkRank
+                # puts the first before the second, e.g. the river before a canal it crosses
+                { ?related wdt:P4792 ?item. BIND(1 AS ?linkRank) } UNION { ?item wdt:P177 ?related. BIND(2 AS ?linkRank) }
+                ?related wdt:P31/wdt:P279* ${sparql.entity('Q355304')}.
+                BIND("impoundedRivers" AS ?relation)
+            } UNION {
+                # Power stations that are part of the dam (P361, P527) or list it (P4792)
+                { ?related wdt:P361 ?item. } UNION { ?item wdt:P527 ?related. } UNION { ?related wdt:P4792 ?item. }
+                ?related wdt:P31/wdt:P279* ${sparql.entity('Q159719')}.
+                ${sparqlClient.buildQuantityPatterns('?related', 'installedCapacity', languages)}
+                BIND("powerStations" AS ?relation)
+            }
+
+            ${sparqlClient.buildLabelPatterns('?related', 'rdfs:label', '?relatedLabel', languages)}
+        }
+        GROUP BY ?item ?relation ?related
+        `;
+    }
+
+    /**
+     * Get the details of several dams and reservoirs
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array} - { height, quantities, damTypes, operators, owners, purposes,
+     *                    impoundedRivers, powerStations } per ID; the lists hold { id, name },
+     *                    power stations also installedCapacity and quantities. impoundedRivers
+     *                    are in sortImpoundedRivers order.
+     */
+    async getDetails(ids, languages) {
+        const found = new Map();
+        const misses = [];
+
+        for (const id of new Set(ids)) {
+            const cached = await cacheManager.get(this.cacheKey(id, languages));
+            if (cached) {
+                found.set(id, cached);
+            } else if (sparql.isEntityId(id)) {
+                misses.push(id);
+            }
+        }
+
+        for (let i = 0; i < misses.length; i += sparqlClient.batchSize) {
+            const batch = misses.slice(i, i + sparqlClient.batchSize);
+            const results = await sparqlClient.query(this.buildDetailsQuery(batch, languages));
+            const details = new Map(batch.map(id => [id, this.emptyDetails()]));
+
+            for (const binding of results.results.bindings) {
+                const entry = details.get(binding.item.value.split('/').pop());
+                if (binding.relation.value === 'height') {
+                    const height = parseQuantity(binding.heightQuantity ? binding.heightQuantity.value : null);
+                    if (height) {
+                        entry.height = height.value;
+                        entry.quantities.height = height.original;
+                    }
+                    continue;
+                }
+
+                const list = entry[binding.relation.value];
+                const relatedId = binding.related.value.split('/').pop();
+                if (!list || list.some(related => related.id === relatedId)) continue;
+                const related = {
+                    id: relatedId,
+                    name: binding.relatedLabel ? binding.relatedLabel.value : relatedId
+                };
+                if (binding.relation.value === 'impoundedRivers') {
+                    related.linkRank = binding.linkRank ? Number(binding.linkRank.value) : 2;
+                }
+                if (binding.relation.value === 'powerStations') {
+                    const packed = binding.installedCapacityQuantity;
+                    const capacity = parseQuantity(packed ? packed.value : null);
+                    related.installedCapacity = capacity ? capacity.value : null;
+                    related.quantities = capacity ? { installedCapacity: capacity.original } : {};
+                }
+                list.push(related);
+            }
+
+            for (const [id, entry] of details) {
+                entry.impoundedRivers = this.sortImpoundedRivers(entry.impoundedRivers);
+                found.set(id, entry);
+                await cacheManager.set(this.cacheKey(id, languages), entry, this.cacheTTL);
+            }
+        }
+
+        return ids.map(id => found.get(id) || this.emptyDetails());
+    }
+
+    /**
+     * Order impounded rivers the same way on every query: rivers listing the dam (P4792)
+     * first, then by Wikidata ID
+     * @param {Array} rivers - { id, name, linkRank } entries
+     * @returns {Array} - { id, name } entries
+     */
+    sortImpoundedRivers(rivers) {
+        const idNumber = id => Number(id.slice(1));
+        return [...rivers]
+            .sort((a, b) => a.linkRank - b.linkRank || idNumber(a.id) - idNumber(b.id))
+            .map(({ id, name }) => ({ id, name }));
+    }
+
+    emptyDetails() {
+        return {
+            height: null,
+            quantities: {},
+            ...Object.fromEntries(RELATIONS.map(relation => [relation, []]))
+        };
+    }
+
+    cacheKey(id, languages) {
+        return `DAM_${id}:${languageKey(languages)}`;
+    }
+}
+
+module.exports = new DamService();
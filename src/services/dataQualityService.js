@@ -0,0 +1,158 @@
+// src/services/dataQualityService.js
+const sparqlClient = require('../utils/sparqlClient');
+const { QUANTITY_FIELDS } = require('../utils/units');
+const { isInBox } = require('../utils/geo');
+
+// Issue types in report order
+const ISSUE_TYPES = ['DUPLICATE_NAME', 'MISSING_COORDINATES', 'MISSING_MEASUREMENT', 'IMPLAUSIBLE_VALUE', 'OUTSIDE_BULGARIA'];
+
+// Measurements every feature of a type is expected to have
+const KEY_MEASUREMENTS = {
+    LAKE: ['surfaceArea'],
+    DAM: ['capacity'],
+    RESERVOIR: ['capacity', 'surfaceArea'],
+    RIVER: ['length']
+};
+
+// Largest plausible value per type, in SI units. Deliberately generous: the largest
+// lake (Burgas, ~28 km²), reservoir (Iskar, ~0.67 km³) and river (the Danube) stay well
+// below them, so a value above them is almost always a unit or typing error.
+const MAXIMUMS = {
+    LAKE: { surfaceArea: 1e8 },
+    DAM: { surfaceArea: 1e8, capacity: 2e9 },
+    RESERVOIR: { surfaceArea: 1e8, capacity: 2e9 },
+    RIVER: { length: 3e6, width: 5e3 }
+};
+
+// Bounding box of Bulgaria, with a small margin for features on the border
+const BULGARIA_BOX = { minLat: 41.2, minLon: 22.3, maxLat: 44.25, maxLon: 28.65 };
+
+/**
+ * Normalize a name for comparison: case and spacing don't make two names different
+ * @param {String} name
+ * @returns {String}
+ */
+function normalizeName(name) {
+    return String(name).toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Checks of the preloaded datasets for problems that should be fixed on Wikidata
+ */
+class DataQualityService {
+    /**
+     * Features of the same type sharing a name, one issue per feature
+     * @param {Array} features - Water features
+     * @returns {Array} - Issues
+     */
+    findDuplicateNames(features) {
+        const groups = new Map();
+        for (const feature of features) {
+            const key = `${feature.type}|${normalizeName(feature.name)}`;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(feature);
+        }
+
+        const issues = [];
+        for (const group of groups.values()) {
+            if (group.length < 2) continue;
+            for (const feature of group) {
+                issues.push({
+                    issueType: 'DUPLICATE_NAME',
+                    feature,
+                    message: `${group.length} ${feature.type} features are named "${feature.name}"`,
+                    relatedFeatures: group.filter(other => other !== feature)
+                });
+            }
+        }
+        return issues;
+    }
+
+    /**
+     * Problems of a single feature: missing or implausible values and coordinates
+     * @param {Object} feature - Water feature
+     * @returns {Array} - Issues
+     */
+    checkFeature(feature) {
+        const issues = [];
+
+        if (!feature.location) {
+            issues.push({ issueType: 'MISSING_COORDINATES', feature, message: 'No coordinates (P625)' });
+        } else if (!isInBox(feature.location, BULGARIA_BOX)) {
+            const { latitude, longitude } = feature.location;
+            issues.push({
+                issueType: 'OUTSIDE_BULGARIA',
+                feature,
+                message: `Coordinates ${latitude}, ${longitude} are outside Bulgaria`
+            });
+        }
+
+        for (const field of KEY_MEASUREMENTS[feature.type] || []) {
+            if (feature[field] == null) {
+                issues.push({
+                    issueType: 'MISSING_MEASUREMENT',
+                    feature,
+                    field,
+                    message: `No ${field} (${QUANTITY_FIELDS[field].property})`
+                });
+            }
+        }
+
+        const maximums = MAXIMUMS[feature.type] || {};
+        for (const field of Object.keys(QUANTITY_FIELDS)) {
+            const value = feature[field];
+            if (value == null) continue;
+            let message = null;
+            if (value <= 0) {
+                message = `${field} is ${value}`;
+            } else if (maximums[field] && value > maximums[field]) {
+                message = `${field} ${value} is above ${maximums[field]}, the most a ${feature.type} can plausibly have`;
+            }
+            if (message) {
+                issues.push({
+                    issueType: 'IMPLAUSIBLE_VALUE',
+                    feature,
+                    field,
+                    value,
+                    message: `${message} (${QUANTITY_FIELDS[field].property}, SI units)`
+                });
+            }
+        }
+
+        return issues;
+    }
+
+    /**
+     * Check the preloaded datasets
+     * @param {Object} params - types, issueTypes (optional, all by default), languages
+     * @returns {Object} - { generatedAt, featureCount, counts: [{ issueType, count }], issues }
+     */
+    async getReport({ types, issueTypes, languages }) {
+        const selectedTypes = types && types.length > 0 ? types : sparqlClient.waterFeatureTypes;
+        const selectedIssues = issueTypes && issueTypes.length > 0 ? issueTypes : ISSUE_TYPES;
+        // Only Wikidata can be fixed through this report
+        const features = await sparqlClient.getAllFeatures(selectedTypes, languages, { withOsm: false });
+
+        const issues = [
+            ...this.findDuplicateNames(features),
+            ...features.flatMap(feature => this.checkFeature(feature))
+        ]
+            .filter(issue => selectedIssues.includes(issue.issueType))
+            .sort((a, b) => ISSUE_TYPES.indexOf(a.issueType) - ISSUE_TYPES.indexOf(b.issueType)
+                || a.feature.name.localeCompare(b.feature.name, languages[0])
+                || a.feature.id.localeCompare(b.feature.id)
+                || String(a.field).localeCompare(String(b.field)));
+
+        return {
+            generatedAt: new Date().toISOString(),
+            featureCount: features.length,
+            counts: selectedIssues.map(issueType => ({
+                issueType,
+                count: issues.filter(issue => issue.issueType === issueType).length
+            })),
+            issues
+        };
+    }
+}
+
+module.exports = new DataQualityService();
@@ -0,0 +1,302 @@
+// src/services/fillLevelService.js
+const fs = require('fs/promises');
+const path = require('path');
+const sparqlClient = require('../utils/sparqlClient');
+const { isEntityId } = require('../utils/sparqlBuilder');
+const { SUPPORTED_EXTENSIONS, readBulletin } = require('../import/bulletinParser');
+
+// Bumped whenever the store layout changes
+const STORE_VERSION = 1;
+
+// Bulgarian streamlined transliteration, so "Искър" and "Iskar" compare equal
+const TRANSLITERATION = {
+    а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ж: 'zh', з: 'z', и: 'i', й: 'y',
+    к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u',
+    ф: 'f', х: 'h', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'sht', ъ: 'a', ь: 'y', ю: 'yu', я: 'ya'
+};
+
+// Words around a dam's name that bulletins and Wikidata labels use inconsistently
+const GENERIC_WORDS = new Set(['yazovir', 'yaz', 'dam', 'reservoir']);
+
+// Dam types whose names bulletins are matched against
+const RESERVOIR_TYPES = ['DAM', 'RESERVOIR'];
+
+/**
+ * Normalize a dam name for matching: transliterated to Latin, lower case, without
+ * punctuation and without words such as "язовир" or "Reservoir"
+ * @param {String} name
+ * @returns {String}
+ */
+function normalizeName(name) {
+    return String(name)
+        .toLowerCase()
+        .replace(/[а-я]/g, char => TRANSLITERATION[char] || char)
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word && !GENERIC_WORDS.has(word))
+        .join(' ');
+}
+
+/**
+ * Reservoir fill levels from the Bulgarian reservoir bulletins. Bulletin files are
+ * imported into a JSON store, which the API reads and reloads when it changes.
+ */
+class FillLevelService {
+    constructor() {
+        this.bulletinDir = process.env.BULLETIN_DIR || 'bulletins';
+        this.storePath = process.env.FILL_LEVEL_STORE || 'data/fill-levels.json';
+        this.aliasesPath = process.env.BULLETIN_ALIASES || 'config/reservoir-aliases.json';
+        this.volumeUnit = process.env.BULLETIN_VOLUME_UNIT || 'MILLION_CUBIC_METRES';
+        // Readings by feature ID, oldest first, and the store's modification time
+        this.readings = null;
+        this.loadedMtime = null;
+        this.checkedAt = 0;
+        // How often the store file is checked for changes
+        this.reloadInterval = 5000;
+    }
+
+    /**
+     * Load the alias table: { "Q12345": ["Искър", "Iskar"] }. A missing file means no aliases.
+     * @returns {Map} - Normalized name -> feature ID
+     */
+    async loadAliases() {
+        let table;
+        try {
+            table = JSON.parse(await fs.readFile(this.aliasesPath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return new Map();
+            throw new Error(`Invalid alias table ${this.aliasesPath}: ${error.message}`);
+        }
+
+        const aliases = new Map();
+        for (const [id, names] of Object.entries(table)) {
+            if (!isEntityId(id) || !Array.isArray(names)) {
+                throw new Error(`Invalid alias table ${this.aliasesPath}: expected "Q12345": [names], got "${id}"`);
+            }
+            names.forEach(name => aliases.set(normalizeName(name), id));
+        }
+        return aliases;
+    }
+
+    /**
+     * Index the names of all dams and reservoirs, in Bulgarian and English
+     * @returns {Map} - Normalized name -> Set of feature IDs
+     */
+    async buildNameIndex() {
+        const index = new Map();
+        for (const language of ['bg', 'en']) {
+            // Bulletins cover the large dams, which are all on Wikidata; small OpenStreetMap
+            // reservoirs sharing their names would only make matches ambiguous
+            for (const feature of await sparqlClient.getAllFeatures(RESERVOIR_TYPES, [language], { withOsm: false })) {
+                const name = normalizeName(feature.name);
+                if (!name) continue;
+                if (!index.has(name)) index.set(name, new Set());
+                index.get(name).add(feature.id);
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Match a bulletin name to a feature; aliases win over names
+     * @param {String} name - Dam name as written in the bulletin
+     * @param {Map} aliases - From loadAliases
+     * @param {Map} index - From buildNameIndex
+     * @returns {Object} - { id } when matched, { candidates } when ambiguous, {} when unknown
+     */
+    matchName(name, aliases, index) {
+        const normalized = normalizeName(name);
+        if (aliases.has(normalized)) {
+            return { id: aliases.get(normalized) };
+        }
+        const ids = [...(index.get(normalized) || [])];
+        if (ids.length === 1) return { id: ids[0] };
+        if (ids.length > 1) return { candidates: ids };
+        return {};
+    }
+
+    /**
+     * Import every bulletin file of a directory into the store. Readings of a dam on a
+     * date that is already stored are replaced.
+     * @param {String} directory - Directory of .csv and .xlsx files (defaults to BULLETIN_DIR)
+     * @returns {Object} - { files, readings, unmatched: [{ name, files }], ambiguous: [{ name, candidates }], errors }
+     */
+    async importDirectory(directory = this.bulletinDir) {
+        const files = (await fs.readdir(directory))
+            .filter(file => SUPPORTED_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+            .sort();
+        const aliases = await this.loadAliases();
+        const index = await this.buildNameIndex();
+
+        const store = await this.readStore();
+        const readings = new Map(store.readings.map(reading => [`${reading.featureId}|${reading.date}`, reading]));
+        const unmatched = new Map();
+        const ambiguous = new Map();
+        const errors = [];
+        let imported = 0;
+
+        for (const file of files) {
+            let bulletin;
+            try {
+                bulletin = await readBulletin(path.join(directory, file), { volumeUnit: this.volumeUnit });
+            } catch (error) {
+                errors.push({ file, message: error.message });
+                continue;
+            }
+
+            for (const { name, date, volume, fillPercent } of bulletin) {
+                const { id, candidates } = this.matchName(name, aliases, index);
+                if (candidates) {
+                    ambiguous.set(name, candidates);
+                    continue;
+                }
+                if (!id) {
+                    if (!unmatched.has(name)) unmatched.set(name, []);
+                    unmatched.get(name).push(file);
+                    continue;
+                }
+                readings.set(`${id}|${date}`, { featureId: id, date, volume, fillPercent, bulletinName: name, source: file });
+                imported++;
+            }
+        }
+
+        await this.writeStore({
+            version: STORE_VERSION,
+            importedAt: new Date().toISOString(),
+            readings: [...readings.values()].sort((a, b) => a.featureId.localeCompare(b.featureId) || a.date.localeCompare(b.date))
+        });
+
+        return {
+            files: files.length,
+            readings: imported,
+            unmatched: [...unmatched].map(([name, inFiles]) => ({ name, files: inFiles })),
+            ambiguous: [...ambiguous].map(([name, candidates]) => ({ name, candidates })),
+            errors
+        };
+    }
+
+    /**
+     * Read the store file; a missing file is an empty store
+     * @returns {Object} - { version, importedAt, readings }
+     */
+    async readStore() {
+        let store;
+        try {
+            store = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { version: STORE_VERSION, importedAt: null, readings: [] };
+            throw error;
+        }
+        if (store.version !== STORE_VERSION) {
+            throw new Error(`Unsupported fill level store version ${store.version} in ${this.storePath} (expected ${STORE_VERSION})`);
+        }
+        return store;
+    }
+
+    /**
+     * Write the store file atomically, so the server never reads a partial store
+     * @param {Object} store - { version, importedAt, readings }
+     */
+    async writeStore(store) {
+        const file = path.resolve(this.storePath);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(store));
+        await fs.rename(tempFile, file);
+    }
+
+    /**
+     * Readings by feature ID, reloaded when an import has changed the store
+     * @returns {Map} - Feature ID -> readings, oldest first
+     */
+    async getReadings() {
+        const now = Date.now();
+        if (this.readings && now - this.checkedAt < this.reloadInterval) {
+            return this.readings;
+        }
+        this.checkedAt = now;
+
+        let mtime = null;
+        try {
+            mtime = (await fs.stat(this.storePath)).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (this.readings && mtime === this.loadedMtime) {
+            return this.readings;
+        }
+
+        const readings = new Map();
+        for (const reading of (await this.readStore()).readings) {
+            if (!readings.has(reading.featureId)) readings.set(reading.featureId, []);
+            readings.get(reading.featureId).push(reading);
+        }
+        readings.forEach(list => list.sort((a, b) => a.date.localeCompare(b.date)));
+
+        this.readings = readings;
+        this.loadedMtime = mtime;
+        return readings;
+    }
+
+    /**
+     * Readings of a reservoir between two dates (inclusive)
+     * @param {String} id - Feature ID
+     * @param {Object} range - from, to: ISO dates (optional)
+     * @returns {Array} - [{ featureId, date, volume, fillPercent, bulletinName, source }], oldest first
+     */
+    async getVolumeHistory(id, { from, to } = {}) {
+        const readings = (await this.getReadings()).get(id) || [];
+        return readings.filter(reading => (!from || reading.date >= from) && (!to || reading.date <= to));
+    }
+
+    /**
+     * Most recent reading of a reservoir
+     * @param {String} id - Feature ID
+     * @returns {Object|null}
+     */
+    async getLatestReading(id) {
+        const readings = (await this.getReadings()).get(id);
+        return readings && readings.length > 0 ? readings[readings.length - 1] : null;
+    }
+
+    /**
+     * Fill level of a reading against the feature's capacity from Wikidata. Bulletins
+     * that only give a percentage are taken at their word.
+     * @param {Object} reading - Reading with a volume in cubic metres
+     * @param {Object} feature - Water feature
+     * @returns {Number|null} - Percent, or null without a volume or capacity
+     */
+    fillPercent(reading, feature) {
+        if (!reading) return null;
+        if (reading.volume == null) return reading.fillPercent == null ? null : reading.fillPercent;
+        if (!feature || !feature.capacity) return null;
+        return (reading.volume / feature.capacity) * 100;
+    }
+
+    /**
+     * Reservoirs with the lowest fill level in their most recent reading
+     * @param {Number} limit - Number of reservoirs
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array} - Water features, lowest fill first
+     */
+    async getLowestFill(limit, languages) {
+        const readings = await this.getReadings();
+        const ids = [...readings.keys()];
+        const features = await sparqlClient.getWaterFeaturesByIds(ids, languages);
+
+        return features
+            .map((feature, i) => {
+                const list = readings.get(ids[i]);
+                return { feature, reading: list[list.length - 1] };
+            })
+            // IDs that no longer resolve (deleted items, stale aliases) are null
+            .filter(({ feature }) => feature)
+            .map(({ feature, reading }) => ({ feature, percent: this.fillPercent(reading, feature) }))
+            .filter(({ percent }) => percent != null)
+            .sort((a, b) => a.percent - b.percent || a.feature.id.localeCompare(b.feature.id))
+            .slice(0, limit)
+            .map(({ feature }) => feature);
+    }
+}
+
+module.exports = new FillLevelService();
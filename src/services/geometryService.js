@@ -0,0 +1,118 @@
+// src/services/geometryService.js
+const geoshapeClient = require('../utils/geoshapeClient');
+const osmService = require('./osmService');
+const logger = require('../utils/logger');
+const {
+    combineGeometries,
+    simplifyGeometry,
+    geometryBbox,
+    geometryCentroid,
+    geometryLength,
+    geometryArea
+} = require('../utils/geo');
+
+// Largest simplification tolerance accepted, in metres
+const MAX_TOLERANCE = 10000;
+
+/**
+ * Round a number to a number of decimals
+ * @param {Number} value
+ * @param {Number} decimals
+ * @returns {Number}
+ */
+function round(value, decimals) {
+    return Number(value.toFixed(decimals));
+}
+
+/**
+ * Outlines and courses of water features, from their Commons geoshape or the
+ * OpenStreetMap objects imported for them
+ */
+class GeometryService {
+    constructor() {
+        // Tolerance used when a query doesn't ask for one; 0 returns full detail
+        this.defaultTolerance = parseFloat(process.env.GEOMETRY_TOLERANCE) || 0;
+        if (this.defaultTolerance < 0 || this.defaultTolerance > MAX_TOLERANCE) {
+            throw new Error(`GEOMETRY_TOLERANCE must be between 0 and ${MAX_TOLERANCE} metres`);
+        }
+    }
+
+    /**
+     * Check a simplification tolerance
+     * @param {Number} tolerance - In metres
+     * @throws {RangeError} - When it is negative or above MAX_TOLERANCE
+     */
+    validateTolerance(tolerance) {
+        if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > MAX_TOLERANCE) {
+            throw new RangeError(`tolerance must be between 0 and ${MAX_TOLERANCE} metres`);
+        }
+    }
+
+    /**
+     * Combined geometry of the imported objects of a feature. Objects of the feature's own
+     * type are preferred (a dam's crest over its reservoir), and relations over the ways
+     * they are made of, which may carry the same Wikidata tag.
+     * @param {Object} feature - Water feature
+     * @returns {Object|null} - GeoJSON geometry
+     */
+    async getOsmGeometry(feature) {
+        let objects = (await osmService.getObjects(feature)).filter(object => object.geometry);
+        const ofType = objects.filter(object => object.type === feature.type);
+        if (ofType.length > 0) objects = ofType;
+        const relations = objects.filter(object => object.osmId.startsWith('relation/'));
+        if (relations.length > 0) objects = relations;
+        return combineGeometries(objects.map(object => object.geometry));
+    }
+
+    /**
+     * Full-detail geometry of a feature: its geoshape, else its OpenStreetMap objects
+     * @param {Object} feature - Water feature
+     * @returns {Object|null} - { geometry, source: GEOSHAPE or OSM }
+     */
+    async getSourceGeometry(feature) {
+        if (feature.geoshape) {
+            try {
+                const geometry = await geoshapeClient.getGeometry(feature.geoshape);
+                if (geometry) return { geometry, source: 'GEOSHAPE' };
+            } catch (error) {
+                // Commons being down shouldn't hide an outline that was imported locally
+                const geometry = await this.getOsmGeometry(feature);
+                if (!geometry) throw error;
+                logger.warn('Geoshape unavailable, using OpenStreetMap geometry', { id: feature.id, error: error.message });
+                return { geometry, source: 'OSM' };
+            }
+        }
+
+        const geometry = await this.getOsmGeometry(feature);
+        return geometry ? { geometry, source: 'OSM' } : null;
+    }
+
+    /**
+     * Geometry of a feature with the values derived from it. Centroid, bbox, length and
+     * area are computed from the full geometry, whatever the tolerance.
+     * @param {Object} feature - Water feature
+     * @param {Number} tolerance - Simplification tolerance in metres (optional)
+     * @returns {Object|null} - { type, coordinates, source, centroid, bbox, lengthKm, areaKm2 }
+     */
+    async getGeometry(feature, tolerance = this.defaultTolerance) {
+        this.validateTolerance(tolerance);
+        const result = await this.getSourceGeometry(feature);
+        if (!result) return null;
+
+        const { geometry, source } = result;
+        const isPolygon = /Polygon$/.test(geometry.type);
+        const centroid = geometryCentroid(geometry);
+        const simplified = simplifyGeometry(geometry, tolerance);
+        return {
+            type: simplified.type,
+            coordinates: simplified.coordinates,
+            source,
+            centroid: { latitude: round(centroid.latitude, 7), longitude: round(centroid.longitude, 7) },
+            bbox: geometryBbox(geometry),
+            lengthKm: isPolygon ? null : round(geometryLength(geometry), 3),
+            areaKm2: isPolygon ? round(geometryArea(geometry) / 1e6, 4) : null
+        };
+    }
+}
+
+module.exports = new GeometryService();
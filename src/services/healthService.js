@@ -0,0 +1,141 @@
+// src/services/healthService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const snapshotService = require('./snapshotService');
+const { client, register } = require('../utils/metrics');
+const { parseLanguages, languageKey } = require('../utils/language');
+
+const LOOKUP_OUTCOMES = ['hits', 'misses', 'staleHits'];
+
+/**
+ * Readiness of the API and the metrics that are read from the cache and the
+ * datasets when Prometheus scrapes, rather than counted as they happen.
+ */
+class HealthService {
+    constructor() {
+        // Copied from CacheManager's counters, which count since the process started
+        new client.Counter({
+            name: 'cache_lookups_total',
+            help: 'Cache lookups by key family and outcome (hits, misses, staleHits)',
+            labelNames: ['family', 'outcome'],
+            registers: [register],
+            collect() {
+                this.reset();
+                for (const [family, counts] of cacheManager.counters) {
+                    LOOKUP_OUTCOMES.forEach(outcome => this.inc({ family, outcome }, counts[outcome]));
+                }
+            }
+        });
+
+        new client.Counter({
+            name: 'cache_evictions_total',
+            help: 'Least recently used cache entries evicted to stay within the limits, by key family',
+            labelNames: ['family'],
+            registers: [register],
+            collect() {
+                this.reset();
+                for (const [family, counts] of cacheManager.counters) {
+                    this.inc({ family }, counts.evictions);
+                }
+            }
+        });
+
+        // Sizes are only known for the bounded memory backend
+        const cacheEntries = new client.Gauge({
+            name: 'cache_entries',
+            help: 'Entries in the memory cache; pinned entries are never evicted',
+            labelNames: ['pinned'],
+            registers: [register]
+        });
+        new client.Gauge({
+            name: 'cache_size_bytes',
+            help: 'Approximate size of the memory cache (serialized JSON); pinned entries are never evicted',
+            labelNames: ['pinned'],
+            registers: [register],
+            // Sets both size gauges from one read of the storage statistics
+            collect() {
+                const stats = cacheManager.getStorageStats();
+                if (!stats) return;
+                cacheEntries.set({ pinned: 'false' }, stats.entries);
+                cacheEntries.set({ pinned: 'true' }, stats.pinnedEntries);
+                this.set({ pinned: 'false' }, stats.bytes);
+                this.set({ pinned: 'true' }, stats.pinnedBytes);
+            }
+        });
+
+        new client.Gauge({
+            name: 'cache_hit_ratio',
+            help: 'Share of cache lookups answered by a fresh entry, by key family',
+            labelNames: ['family'],
+            registers: [register],
+            collect() {
+                this.reset();
+                for (const [family, { hits, misses }] of cacheManager.counters) {
+                    if (hits + misses > 0) this.set({ family }, hits / (hits + misses));
+                }
+            }
+        });
+
+        const datasetFeatures = new client.Gauge({
+            name: 'dataset_features',
+            help: 'Number of features in each type dataset',
+            labelNames: ['type', 'language'],
+            registers: [register]
+        });
+        const datasetAge = new client.Gauge({
+            name: 'dataset_age_seconds',
+            help: 'Time since each type dataset was last rebuilt from Wikidata',
+            labelNames: ['type', 'language'],
+            registers: [register],
+            // Sets both dataset gauges, so the statuses are read once per scrape
+            async collect() {
+                datasetFeatures.reset();
+                this.reset();
+                const now = Date.now();
+                for (const status of await sparqlClient.getDatasetStatus()) {
+                    const labels = { type: status.type, language: languageKey(status.languages) };
+                    datasetFeatures.set(labels, status.featureCount);
+                    if (status.lastRefreshedAt !== null) {
+                        this.set(labels, (now - status.lastRefreshedAt) / 1000);
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Language fallback chains whose datasets must be loaded before the API is ready:
+     * the chains of the snapshot when serving one, the preloaded chains otherwise
+     * @returns {Array}
+     */
+    requiredLanguages() {
+        const snapshot = snapshotService.getMetadata();
+        return snapshot ? snapshot.languages.map(parseLanguages) : sparqlClient.preloadLanguages;
+    }
+
+    /**
+     * Check that every type dataset of the required language chains is loaded.
+     * A stale dataset still counts, since it is served while it is being refreshed.
+     * @returns {Object} - { ready, datasets: [{ type, language, loaded }] }
+     */
+    async getReadiness() {
+        const datasets = [];
+        for (const languages of this.requiredLanguages()) {
+            for (const type of sparqlClient.waterFeatureTypes) {
+                const dataset = await cacheManager.peek(sparqlClient.typeCacheKey(type, languages));
+                datasets.push({ type, language: languageKey(languages), loaded: dataset !== null });
+            }
+        }
+        return { ready: datasets.every(dataset => dataset.loaded), datasets };
+    }
+
+    /**
+     * All metrics in the Prometheus text format
+     * @returns {Object} - { contentType, body }
+     */
+    async getMetrics() {
+        return { contentType: register.contentType, body: await register.metrics() };
+    }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,254 @@
+// src/services/osmService.js
+const fs = require('fs/promises');
+const path = require('path');
+const { readOsmExtract } = require('../import/osmParser');
+
+// Bumped whenever the store layout changes
+const STORE_VERSION = 1;
+
+// IDs of OpenStreetMap-only features: "osm:" and the element, e.g. osm:way/123456
+const FEATURE_ID = /^osm:(node|way|relation)\/[1-9]\d*$/;
+
+/**
+ * Lakes, reservoirs, dams and rivers imported from an OpenStreetMap extract. Objects tagged
+ * with the Wikidata ID of a water feature are linked to it; the others are features of their own.
+ */
+class OsmService {
+    constructor() {
+        this.storePath = process.env.OSM_STORE || 'data/osm-features.json';
+        // Imported objects and their lookups, and the store's modification time
+        this.index = null;
+        this.loadedMtime = null;
+        this.checkedAt = 0;
+        // How often the store file is checked for changes
+        this.reloadInterval = 5000;
+    }
+
+    /**
+     * Check whether an ID is the ID of an OpenStreetMap-only feature
+     * @param {String} id
+     * @returns {Boolean}
+     */
+    isFeatureId(id) {
+        return typeof id === 'string' && FEATURE_ID.test(id);
+    }
+
+    /**
+     * Import an extract into the store, replacing the previous import
+     * @param {String} file - GeoJSON or .osm.pbf file
+     * @returns {Object} - { objects, byType: { LAKE: n, ... }, withWikidata, withoutGeometry, skipped }
+     */
+    async importFile(file) {
+        const { objects, skipped } = await readOsmExtract(file);
+        await this.writeStore({
+            version: STORE_VERSION,
+            importedAt: new Date().toISOString(),
+            source: path.basename(file),
+            objects
+        });
+
+        const byType = {};
+        objects.forEach(({ type }) => { byType[type] = (byType[type] || 0) + 1; });
+        return {
+            objects: objects.length,
+            byType,
+            withWikidata: objects.filter(object => object.wikidataId).length,
+            withoutGeometry: objects.filter(object => !object.location).length,
+            skipped
+        };
+    }
+
+    /**
+     * Read the store file; a missing file is an empty store
+     * @returns {Object} - { version, importedAt, source, objects }
+     */
+    async readStore() {
+        let store;
+        try {
+            store = JSON.parse(await fs.readFile(this.storePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { version: STORE_VERSION, importedAt: null, source: null, objects: [] };
+            throw error;
+        }
+        if (store.version !== STORE_VERSION) {
+            throw new Error(`Unsupported OpenStreetMap store version ${store.version} in ${this.storePath} (expected ${STORE_VERSION})`);
+        }
+        return store;
+    }
+
+    /**
+     * Write the store file atomically, so the server never reads a partial store
+     * @param {Object} store - { version, importedAt, source, objects }
+     */
+    async writeStore(store) {
+        const file = path.resolve(this.storePath);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(store));
+        await fs.rename(tempFile, file);
+    }
+
+    /**
+     * Imported objects, reloaded when an import has changed the store
+     * @returns {Object} - { objects, byFeatureId: Map, byWikidataId: Map of lists }
+     */
+    async getIndex() {
+        const now = Date.now();
+        if (this.index && now - this.checkedAt < this.reloadInterval) {
+            return this.index;
+        }
+        this.checkedAt = now;
+
+        let mtime = null;
+        try {
+            mtime = (await fs.stat(this.storePath)).mtimeMs;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        if (this.index && mtime === this.loadedMtime) {
+            return this.index;
+        }
+
+        const { objects } = await this.readStore();
+        const byFeatureId = new Map();
+        const byWikidataId = new Map();
+        for (const object of objects) {
+            byFeatureId.set(`osm:${object.osmId}`, object);
+            if (!object.wikidataId) continue;
+            if (!byWikidataId.has(object.wikidataId)) byWikidataId.set(object.wikidataId, []);
+            byWikidataId.get(object.wikidataId).push(object);
+        }
+
+        this.index = { objects, byFeatureId, byWikidataId };
+        this.loadedMtime = mtime;
+        return this.index;
+    }
+
+    /**
+     * Imported objects of a feature, linked or its own
+     * @param {Object} feature - Water feature
+     * @returns {Array} - Imported objects
+     */
+    async getObjects(feature) {
+        if (!feature.osmIds) return [];
+        const index = await this.getIndex();
+        return feature.osmIds.map(osmId => index.byFeatureId.get(`osm:${osmId}`)).filter(Boolean);
+    }
+
+    /**
+     * Check whether an object is linked to a Wikidata feature rather than a feature of its own
+     * @param {Object} object - Imported object
+     * @param {Function} isWikidataFeature - Tells whether a Wikidata ID is a water feature
+     * @returns {Boolean}
+     */
+    isLinked(object, isWikidataFeature) {
+        return Boolean(object.wikidataId) && isWikidataFeature(object.wikidataId);
+    }
+
+    /**
+     * Mark a Wikidata feature with the objects linked to it. Its values stay those of
+     * Wikidata; the cached feature itself is left untouched.
+     * @param {Object} feature - Wikidata water feature
+     * @param {Object} index - From getIndex
+     * @returns {Object}
+     */
+    link(feature, index) {
+        const objects = index.byWikidataId.get(feature.id);
+        if (!objects) return feature;
+        return { ...feature, sources: ['WIKIDATA', 'OSM'], osmIds: objects.map(object => object.osmId) };
+    }
+
+    /**
+     * Build the water feature of an object that isn't linked to Wikidata
+     * @param {Object} object - Imported object
+     * @param {Array} languages - Language fallback chain
+     * @returns {Object} - Water feature
+     */
+    toFeature(object, languages) {
+        const language = languages.find(code => object.names[code]);
+        // The name tag is the local (Bulgarian) name; unnamed objects are named after their ID
+        const name = language ? object.names[language] : object.names[''] || object.osmId;
+        return {
+            id: `osm:${object.osmId}`,
+            name,
+            type: object.type,
+            location: object.location,
+            locatedIn: null,
+            regionIds: [],
+            capacity: null,
+            surfaceArea: object.surfaceArea,
+            length: object.length,
+            width: null,
+            inceptionDate: null,
+            wikidataUrl: null,
+            description: null,
+            quantities: {},
+            operators: [],
+            purposes: [],
+            sources: ['OSM'],
+            osmIds: [object.osmId],
+            labels: Object.entries(object.names)
+                .filter(([code]) => code !== '')
+                .map(([code, value]) => ({ language: code, value }))
+                .sort((a, b) => a.language.localeCompare(b.language))
+        };
+    }
+
+    /**
+     * Add the imported objects to the Wikidata features of some types: linked features
+     * are marked, and objects of those types that aren't linked are added as features
+     * @param {Array} features - Wikidata water features
+     * @param {Object} params - types, languages, isWikidataFeature (ID -> Boolean)
+     * @returns {Array} - Water features
+     */
+    async mergeFeatures(features, { types, languages, isWikidataFeature }) {
+        const index = await this.getIndex();
+        if (index.objects.length === 0) return features;
+
+        const merged = features.map(feature => this.link(feature, index));
+        for (const object of index.objects) {
+            if (types.includes(object.type) && !this.isLinked(object, isWikidataFeature)) {
+                merged.push(this.toFeature(object, languages));
+            }
+        }
+        return merged;
+    }
+
+    /**
+     * Resolve features looked up by ID: Wikidata features are marked with their linked
+     * objects and OpenStreetMap IDs resolve to the objects that aren't linked
+     * @param {Array} ids - Requested IDs
+     * @param {Array} features - Wikidata features (or null) in the same order
+     * @param {Object} params - languages, isWikidataFeature (ID -> Boolean)
+     * @returns {Array} - Water features (or null) in the same order as ids
+     */
+    async resolveByIds(ids, features, { languages, isWikidataFeature }) {
+        const index = await this.getIndex();
+        if (index.objects.length === 0) return features;
+
+        return ids.map((id, i) => {
+            if (features[i]) return this.link(features[i], index);
+            const object = index.byFeatureId.get(id);
+            return object && !this.isLinked(object, isWikidataFeature) ? this.toFeature(object, languages) : null;
+        });
+    }
+
+    /**
+     * Version of the imported data, which changes with every import
+     * @returns {Number|null} - Modification time of the store, null without a store
+     */
+    async getVersion() {
+        await this.getIndex();
+        return this.loadedMtime;
+    }
+
+    /**
+     * Check whether any objects have been imported
+     * @returns {Boolean}
+     */
+    async hasObjects() {
+        return (await this.getIndex()).objects.length > 0;
+    }
+}
+
+module.exports = new OsmService();
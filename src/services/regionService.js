@@ -0,0 +1,215 @@
+// src/services/regionService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const sparql = require('../utils/sparqlBuilder');
+const logger = require('../utils/logger');
+const { languageKey } = require('../utils/language');
+
+// Administrative levels, from the top down
+const REGION_LEVELS = ['PROVINCE', 'MUNICIPALITY'];
+
+class RegionService {
+    constructor() {
+        this.cacheTTL = 7 * 24 * 60 * 60 * 1000; // 7 days, the divisions rarely change
+        this.hierarchies = new Map(); // language key -> in-flight or loaded hierarchy
+    }
+
+    /**
+     * Build a SPARQL query for the provinces (oblasts) of Bulgaria and their municipalities.
+     * Both levels are read from "contains the administrative territorial entity" (P150),
+     * leaving out dissolved entities (P576).
+     * @param {Array} languages - Language fallback chain
+     * @returns {String} - SPARQL query string
+     */
+    buildRegionsQuery(languages) {
+        return `
+        SELECT ?province (SAMPLE(?provinceLabel) AS ?provinceLabel)
+               ?municipality (SAMPLE(?municipalityLabel) AS ?municipalityLabel)
+        WHERE {
+            ${sparql.entity('Q219')} wdt:P150 ?province.
+            FILTER NOT EXISTS { ?province wdt:P576 ?provinceDissolved. }
+            ${sparqlClient.buildLabelPatterns('?province', 'rdfs:label', '?provinceLabel', languages)}
+
+            OPTIONAL {
+                ?province wdt:P150 ?municipality.
+                FILTER NOT EXISTS { ?municipality wdt:P576 ?municipalityDissolved. }
+                ${sparqlClient.buildLabelPatterns('?municipality', 'rdfs:label', '?municipalityLabel', languages)}
+            }
+        }
+        GROUP BY ?province ?municipality
+        `;
+    }
+
+    /**
+     * Turn the results of the regions query into a flat list of regions
+     * @param {Object} results - SPARQL query results
+     * @returns {Array} - [{ id, name, level, parentId }]
+     */
+    transformRegions(results) {
+        const regions = new Map();
+
+        for (const binding of results.results.bindings) {
+            const provinceId = binding.province.value.split('/').pop();
+            if (!regions.has(provinceId)) {
+                regions.set(provinceId, {
+                    id: provinceId,
+                    name: binding.provinceLabel ? binding.provinceLabel.value : provinceId,
+                    level: 'PROVINCE',
+                    parentId: null
+                });
+            }
+
+            if (binding.municipality) {
+                const municipalityId = binding.municipality.value.split('/').pop();
+                regions.set(municipalityId, {
+                    id: municipalityId,
+                    name: binding.municipalityLabel ? binding.municipalityLabel.value : municipalityId,
+                    level: 'MUNICIPALITY',
+                    parentId: provinceId
+                });
+            }
+        }
+
+        return [...regions.values()];
+    }
+
+    /**
+     * Get the region hierarchy, indexed by ID in name order
+     * @param {Array} languages - Language fallback chain
+     * @returns {Map} - id -> { id, name, level, parentId, childIds }
+     */
+    async getHierarchy(languages) {
+        const key = languageKey(languages);
+        if (!this.hierarchies.has(key)) {
+            const loading = this.loadHierarchy(languages).catch((error) => {
+                this.hierarchies.delete(key);
+                throw error;
+            });
+            this.hierarchies.set(key, loading);
+        }
+
+        const hierarchy = await this.hierarchies.get(key);
+        // Rebuild once the cached list has expired
+        if (Date.now() - hierarchy.loadedAt > this.cacheTTL) {
+            this.hierarchies.delete(key);
+        }
+        return hierarchy.regions;
+    }
+
+    async loadHierarchy(languages) {
+        const cacheKey = this.cacheKey(languages);
+        let regions = await cacheManager.get(cacheKey);
+
+        if (!regions) {
+            logger.info('Region hierarchy not cached, querying Wikidata', { language: languageKey(languages) });
+            const results = await sparqlClient.query(this.buildRegionsQuery(languages), { useCache: false });
+            regions = this.transformRegions(results);
+            await cacheManager.set(cacheKey, regions, this.cacheTTL);
+        }
+
+        const collator = new Intl.Collator(languages[0], { sensitivity: 'base' });
+        const sorted = [...regions].sort((a, b) => collator.compare(a.name, b.name));
+        const index = new Map(sorted.map(region => [region.id, { ...region, childIds: [] }]));
+        for (const region of index.values()) {
+            if (region.parentId && index.has(region.parentId)) {
+                index.get(region.parentId).childIds.push(region.id);
+            }
+        }
+
+        return { regions: index, loadedAt: Date.now() };
+    }
+
+    cacheKey(languages) {
+        return `REGIONS:${languageKey(languages)}`;
+    }
+
+    /**
+     * Attach the language chain to a region, so its parent and children are named alike
+     */
+    withLanguages(region, languages) {
+        return region ? { ...region, languages } : null;
+    }
+
+    /**
+     * Get a region by ID
+     * @param {String} id - Wikidata ID of the province or municipality
+     * @param {Array} languages - Language fallback chain
+     * @returns {Object|null}
+     */
+    async getRegion(id, languages) {
+        const hierarchy = await this.getHierarchy(languages);
+        return this.withLanguages(hierarchy.get(id), languages);
+    }
+
+    /**
+     * List regions, sorted by name
+     * @param {Object} options - level (PROVINCE or MUNICIPALITY), parentId (both optional)
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array}
+     */
+    async getRegions({ level, parentId } = {}, languages) {
+        const hierarchy = await this.getHierarchy(languages);
+
+        return [...hierarchy.values()]
+            .filter(region => !level || region.level === level)
+            .filter(region => !parentId || region.parentId === parentId)
+            .map(region => this.withLanguages(region, languages));
+    }
+
+    /**
+     * Resolve the region names of a WaterFeatureFilter, nested filters included, to the
+     * provinces and municipalities whose name contains them. matchesFilter then matches a
+     * name against every region containing a feature, not only its locatedIn label.
+     * Without the hierarchy (Wikidata unreachable) names only match locatedIn.
+     * @param {Object} filter - WaterFeatureFilter (optional)
+     * @param {Array} languages - Language fallback chain
+     * @returns {Object} - Copy of the filter with regionMatchIds next to every region name
+     */
+    async resolveRegionNames(filter, languages) {
+        const hasName = node => Boolean(node) && (Boolean(node.region)
+            || [...(node.and || []), ...(node.or || [])].some(hasName)
+            || hasName(node.not));
+        if (!hasName(filter)) return filter;
+
+        let regions = [];
+        try {
+            regions = [...(await this.getHierarchy(languages)).values()];
+        } catch (error) {
+            logger.warn('Region hierarchy unavailable, matching region names against locatedIn only', { error: error.message });
+        }
+
+        const resolve = (node) => {
+            if (!node) return node;
+            const resolved = { ...node };
+            if (node.region) {
+                const name = node.region.toLowerCase();
+                resolved.regionMatchIds = regions
+                    .filter(region => region.name.toLowerCase().includes(name))
+                    .map(region => region.id);
+            }
+            if (node.and) resolved.and = node.and.map(resolve);
+            if (node.or) resolved.or = node.or.map(resolve);
+            if (node.not) resolved.not = resolve(node.not);
+            return resolved;
+        };
+        return resolve(filter);
+    }
+
+    /**
+     * Get the regions containing a water feature, from the province down to the municipality
+     * @param {Object} feature - Water feature (regionIds lists every P131 ancestor)
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array}
+     */
+    async getAdministrativePath(feature, languages) {
+        const hierarchy = await this.getHierarchy(languages);
+
+        return (feature.regionIds || [])
+            .map(id => hierarchy.get(id))
+            .filter(Boolean)
+            .sort((a, b) => REGION_LEVELS.indexOf(a.level) - REGION_LEVELS.indexOf(b.level))
+            .map(region => this.withLanguages(region, languages));
+    }
+}
+
+module.exports = new RegionService();
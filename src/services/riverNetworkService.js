@@ -0,0 +1,197 @@
+// src/services/riverNetworkService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const sparql = require('../utils/sparqlBuilder');
+const { languageKey } = require('../utils/language');
+
+// Relationship fields and how they are read from Wikidata
+const RELATIONS = ['tributaries', 'mouthOfTheWatercourse', 'drainageBasin', 'lakesOnRiver', 'dams'];
+
+class RiverNetworkService {
+    constructor() {
+        this.maxDepth = 10;
+        this.cacheTTL = 12 * 60 * 60 * 1000; // 12 hours, like the type datasets
+    }
+
+    /**
+     * Build a SPARQL query for the relationships of several water features.
+     * Links are read in both directions, because Wikidata often records a
+     * tributary only as "mouth of the watercourse" (P403) on the tributary itself.
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain
+     * @returns {String} - SPARQL query string
+     */
+    buildRelationsQuery(ids, languages) {
+        return `
+        SELECT ?item ?relation ?related (SAMPLE(?relatedLabel) AS ?relatedLabel)
+        WHERE {
+            ${sparql.values('?item', ids)}
+
+            {
+                # Tributaries (P974)
+                ?item wdt:P974 ?related.
+                BIND("tributaries" AS ?relation)
+            } UNION {
+                # Watercourses that flow into this one (P403 on the tributary)
+                ?related wdt:P403 ?item.
+                ?related wdt:P31/wdt:P279* ${sparql.entity('Q355304')}.
+                BIND("tributaries" AS ?relation)
+            } UNION {
+                # Mouth of the watercourse (P403)
+                ?item wdt:P403 ?related.
+                BIND("mouthOfTheWatercourse" AS ?relation)
+            } UNION {
+                # Drainage basin (P4614)
+                ?item wdt:P4614 ?related.
+                BIND("drainageBasin" AS ?relation)
+            } UNION {
+                # Lakes on the watercourse (P469)
+                ?item wdt:P469 ?related.
+                BIND("lakesOnRiver" AS ?relation)
+            } UNION {
+                # Dams on the watercourse (P4792)
+                ?item wdt:P4792 ?related.
+                BIND("dams" AS ?relation)
+            } UNION {
+                # Dams crossing the watercourse (P177 on the dam)
+                ?related wdt:P177 ?item.
+                ?related wdt:P31/wdt:P279* ${sparql.entity('Q12323')}.
+                BIND("dams" AS ?relation)
+            }
+
+            ${sparqlClient.buildLabelPatterns('?related', 'rdfs:label', '?relatedLabel', languages)}
+        }
+        GROUP BY ?item ?relation ?related
+        `;
+    }
+
+    /**
+     * Get the relationships of several water features
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array} - { tributaries, mouthOfTheWatercourse, drainageBasin, lakesOnRiver, dams }
+     *                    per ID, each a list of { id, name }
+     */
+    async getRelations(ids, languages) {
+        const found = new Map();
+        const misses = [];
+
+        for (const id of new Set(ids)) {
+            const cached = await cacheManager.get(this.cacheKey(id, languages));
+            if (cached) {
+                found.set(id, cached);
+            } else if (sparql.isEntityId(id)) {
+                misses.push(id);
+            }
+        }
+
+        for (let i = 0; i < misses.length; i += sparqlClient.batchSize) {
+            const batch = misses.slice(i, i + sparqlClient.batchSize);
+            const results = await sparqlClient.query(this.buildRelationsQuery(batch, languages));
+            const relations = new Map(batch.map(id => [id, this.emptyRelations()]));
+
+            for (const binding of results.results.bindings) {
+                const id = binding.item.value.split('/').pop();
+                const relatedId = binding.related.value.split('/').pop();
+                const list = relations.get(id)[binding.relation.value];
+                if (list && !list.some(entry => entry.id === relatedId)) {
+                    list.push({
+                        id: relatedId,
+                        name: binding.relatedLabel ? binding.relatedLabel.value : relatedId
+                    });
+                }
+            }
+
+            for (const [id, relation] of relations) {
+                found.set(id, relation);
+                await cacheManager.set(this.cacheKey(id, languages), relation, this.cacheTTL);
+            }
+        }
+
+        return ids.map(id => found.get(id) || this.emptyRelations());
+    }
+
+    emptyRelations() {
+        return Object.fromEntries(RELATIONS.map(relation => [relation, []]));
+    }
+
+    cacheKey(id, languages) {
+        return `RIVER_${id}:${languageKey(languages)}`;
+    }
+
+    /**
+     * Walk the river network upstream (through tributaries) or downstream (through mouths)
+     * @param {String} id - Wikidata ID of the starting river
+     * @param {Object} options - depth, direction (UPSTREAM or DOWNSTREAM), languages, loaders
+     * @returns {Object|null} - { root, rivers, lakes, dams }, or null if the river doesn't exist
+     */
+    async getRiverSystem(id, { depth, direction, languages, loaders }) {
+        const featureLoader = loaders.waterFeatureById(languages);
+        const relationLoader = loaders.riverRelations(languages);
+        const next = direction === 'DOWNSTREAM' ? 'mouthOfTheWatercourse' : 'tributaries';
+        const maxDepth = Math.min(depth, this.maxDepth);
+
+        const rootFeature = await featureLoader.load(id);
+        if (!rootFeature) {
+            return null;
+        }
+
+        const root = { feature: rootFeature, depth: 0, children: [] };
+        const visited = new Set([id]);
+        const rivers = [rootFeature];
+        const lakeIds = new Set();
+        const damIds = new Set();
+        let level = [root];
+
+        // Breadth-first, so every level is fetched with one batched request
+        for (let currentDepth = 0; level.length > 0; currentDepth++) {
+            const relations = await relationLoader.loadMany(level.map(node => node.feature.id));
+            const childIdsByNode = [];
+
+            for (let i = 0; i < level.length; i++) {
+                const relation = relations[i];
+                if (relation instanceof Error) throw relation;
+
+                relation.lakesOnRiver.forEach(entry => lakeIds.add(entry.id));
+                relation.dams.forEach(entry => damIds.add(entry.id));
+
+                const childIds = currentDepth < maxDepth
+                    ? relation[next].map(entry => entry.id).filter(childId => !visited.has(childId))
+                    : [];
+                childIds.forEach(childId => visited.add(childId));
+                childIdsByNode.push(childIds);
+            }
+
+            const children = await featureLoader.loadMany(childIdsByNode.flat());
+            const nextLevel = [];
+            let childIndex = 0;
+
+            for (let i = 0; i < level.length; i++) {
+                for (let j = 0; j < childIdsByNode[i].length; j++) {
+                    const child = children[childIndex++];
+                    if (!child || child instanceof Error) continue;
+                    const node = { feature: child, depth: currentDepth + 1, children: [] };
+                    level[i].children.push(node);
+                    rivers.push(child);
+                    nextLevel.push(node);
+                }
+            }
+
+            level = nextLevel;
+        }
+
+        const [lakes, dams] = await Promise.all([
+            featureLoader.loadMany([...lakeIds]),
+            featureLoader.loadMany([...damIds])
+        ]);
+
+        return {
+            root,
+            rivers,
+            lakes: lakes.filter(feature => feature && !(feature instanceof Error)),
+            dams: dams.filter(feature => feature && !(feature instanceof Error))
+        };
+    }
+}
+
+module.exports = new RiverNetworkService();
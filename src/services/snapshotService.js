@@ -0,0 +1,165 @@
+// src/services/snapshotService.js
+const fs = require('fs/promises');
+const path = require('path');
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const riverNetworkService = require('./riverNetworkService');
+const damService = require('./damService');
+const regionService = require('./regionService');
+const { parseLanguages, languageKey } = require('../utils/language');
+
+// Bumped whenever the file layout changes; older files are rejected
+const SNAPSHOT_VERSION = 1;
+
+class SnapshotService {
+    constructor() {
+        // Metadata of the loaded snapshot, null when serving Wikidata
+        this.metadata = null;
+    }
+
+    /**
+     * Build a snapshot of everything the API serves: the type datasets of every
+     * preloaded language chain, plus labels, river relations, dam details, related
+     * features outside the datasets and the region hierarchy.
+     * Snapshot entries are cache entries, keyed like the cache.
+     * @returns {Object} - { version, createdAt, endpoint, languages, featureCount, entries }
+     */
+    async create() {
+        if (sparqlClient.offline) {
+            throw new Error('Snapshots are taken from Wikidata; unset DATA_SOURCE first');
+        }
+
+        await sparqlClient.preloadCache();
+
+        const entries = {};
+        const featureIds = new Set();
+        // The memory cache evicts entries, so results are taken from what the services
+        // return. Entries only read back from the cache are counted when they are gone.
+        let missing = 0;
+        const keep = async (key) => {
+            const data = await cacheManager.get(key);
+            if (data === null) {
+                missing++;
+                return;
+            }
+            entries[key] = data;
+        };
+
+        for (const languages of sparqlClient.preloadLanguages) {
+            const ids = [];
+            const damIds = [];
+            for (const type of sparqlClient.waterFeatureTypes) {
+                const dataset = await sparqlClient.getTypeDataset(type, languages);
+                if (!dataset) {
+                    throw new Error(`The ${type} dataset (${languageKey(languages)}) could not be loaded`);
+                }
+                entries[sparqlClient.typeCacheKey(type, languages)] = dataset;
+                dataset.features.forEach(feature => ids.push(feature.id));
+                dataset.features.filter(feature => damService.hasDetails(feature)).forEach(feature => damIds.push(feature.id));
+            }
+            ids.forEach(id => featureIds.add(id));
+            console.log(`Collecting details of ${ids.length} features (${languageKey(languages)})...`);
+
+            const labels = await sparqlClient.getLabelsByIds(ids);
+            ids.forEach((id, i) => {
+                entries[sparqlClient.labelsCacheKey(id)] = labels[i];
+            });
+
+            // Related features that aren't in a dataset, e.g. rivers flowing in from abroad
+            const relations = await riverNetworkService.getRelations(ids, languages);
+            const known = new Set(ids);
+            const relatedIds = new Set();
+            for (let i = 0; i < ids.length; i++) {
+                entries[riverNetworkService.cacheKey(ids[i], languages)] = relations[i];
+                for (const list of Object.values(relations[i])) {
+                    list.filter(entry => !known.has(entry.id)).forEach(entry => relatedIds.add(entry.id));
+                }
+            }
+            const details = await damService.getDetails(damIds, languages);
+            for (let i = 0; i < damIds.length; i++) {
+                entries[damService.cacheKey(damIds[i], languages)] = details[i];
+                details[i].impoundedRivers.filter(entry => !known.has(entry.id)).forEach(entry => relatedIds.add(entry.id));
+            }
+
+            // Features are read back from the cache right after each batch, since what
+            // getWaterFeaturesByIds returns may be merged with OpenStreetMap
+            const related = [...relatedIds];
+            for (let i = 0; i < related.length; i += sparqlClient.batchSize) {
+                const batch = related.slice(i, i + sparqlClient.batchSize);
+                const features = await sparqlClient.getWaterFeaturesByIds(batch, languages);
+                for (let j = 0; j < batch.length; j++) {
+                    // IDs that aren't water features have no entry
+                    if (features[j]) await keep(sparqlClient.featureCacheKey(batch[j], languages));
+                }
+            }
+
+            await regionService.getHierarchy(languages);
+            await keep(regionService.cacheKey(languages));
+        }
+
+        if (missing > 0) {
+            throw new Error(`${missing} snapshot entries were evicted from the cache while collecting them; raise CACHE_MAX_ENTRIES or CACHE_MAX_BYTES`);
+        }
+
+        return {
+            version: SNAPSHOT_VERSION,
+            createdAt: new Date().toISOString(),
+            endpoint: sparqlClient.endpoint,
+            languages: sparqlClient.preloadLanguages.map(languageKey),
+            featureCount: featureIds.size,
+            entries
+        };
+    }
+
+    /**
+     * Write a snapshot to a JSON file
+     * @param {String} filePath - Output file (parent directories are created)
+     * @param {Object} snapshot - Snapshot from create()
+     */
+    async write(filePath, snapshot) {
+        const file = path.resolve(filePath);
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        // Write to a temporary file and rename it so a server never reads a partial snapshot
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(snapshot));
+        await fs.rename(tempFile, file);
+    }
+
+    /**
+     * Load a snapshot file into the cache. Entries never expire and are never evicted,
+     * since a snapshot entry can't be fetched again.
+     * @param {String} filePath - Snapshot file
+     * @returns {Object} - Snapshot metadata
+     */
+    async load(filePath) {
+        const file = path.resolve(filePath);
+        const snapshot = JSON.parse(await fs.readFile(file, 'utf8'));
+        if (snapshot.version !== SNAPSHOT_VERSION) {
+            throw new Error(`Unsupported snapshot version ${snapshot.version} in ${file} (expected ${SNAPSHOT_VERSION})`);
+        }
+
+        for (const [key, data] of Object.entries(snapshot.entries)) {
+            await cacheManager.set(key, data, null, { pinned: true });
+        }
+        // Report the snapshot's datasets in datasetStatus
+        for (const chain of snapshot.languages) {
+            for (const type of sparqlClient.waterFeatureTypes) {
+                sparqlClient.trackDataset(type, parseLanguages(chain));
+            }
+        }
+
+        const { entries, ...metadata } = snapshot;
+        this.metadata = { ...metadata, path: file };
+        return this.metadata;
+    }
+
+    /**
+     * Metadata of the loaded snapshot
+     * @returns {Object|null} - { version, createdAt, endpoint, languages, featureCount, path }
+     */
+    getMetadata() {
+        return this.metadata;
+    }
+}
+
+module.exports = new SnapshotService();
@@ -0,0 +1,113 @@
+// src/services/statsService.js
+const sparqlClient = require('../utils/sparqlClient');
+const cacheManager = require('../cache/cacheManager');
+const osmService = require('./osmService');
+const regionService = require('./regionService');
+const { validateFilter, matchesFilter, typesForFilter } = require('../utils/filters');
+const { languageKey } = require('../utils/language');
+
+// Measurements summarised for every group
+const MEASUREMENTS = ['capacity', 'surfaceArea'];
+
+/**
+ * Find the province containing a feature among the regions it lies in
+ * @param {Object} feature - Water feature (regionIds lists every P131 ancestor)
+ * @param {Map} regions - Region hierarchy, see regionService.getHierarchy
+ * @returns {Object|null} - The province
+ */
+function provinceOf(feature, regions) {
+    for (const id of feature.regionIds || []) {
+        const region = regions.get(id);
+        if (!region) continue;
+        const province = region.level === 'PROVINCE' ? region : regions.get(region.parentId);
+        if (province) return province;
+    }
+    return null;
+}
+
+// How each groupBy option picks the group of a feature: { key, name }
+const GROUP_KEYS = {
+    TYPE: feature => ({ key: feature.type, name: null }),
+    REGION: (feature, regions) => {
+        const province = provinceOf(feature, regions);
+        return province ? { key: province.id, name: province.name } : { key: null, name: null };
+    }
+};
+
+class StatsService {
+    /**
+     * Summarise one measurement over a group of features
+     * @param {Array} features - Water features
+     * @param {String} field - Numeric feature field
+     * @returns {Object} - { count, missing, total, average, min, max }
+     */
+    summarize(features, field) {
+        const values = features
+            .map(feature => feature[field])
+            .filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+        if (values.length === 0) {
+            return { count: 0, missing: features.length, total: null, average: null, min: null, max: null };
+        }
+
+        const total = values.reduce((sum, value) => sum + value, 0);
+        return {
+            count: values.length,
+            missing: features.length - values.length,
+            total,
+            average: total / values.length,
+            min: Math.min(...values),
+            max: Math.max(...values)
+        };
+    }
+
+    /**
+     * Compute statistics over the preloaded datasets, grouped by type or region
+     * @param {Object} params - groupBy (TYPE or REGION), filter (WaterFeatureFilter), languages
+     * @returns {Array} - [{ key, name, count, capacity, surfaceArea }] sorted by name or key;
+     *                    REGION groups are provinces, keyed by Wikidata ID
+     */
+    async getStats({ groupBy, filter, languages }) {
+        validateFilter(filter);
+        const types = typesForFilter(filter, sparqlClient.waterFeatureTypes);
+        const features = await sparqlClient.getAllFeatures(types, languages);
+
+        // Results are valid until one of the underlying datasets is refreshed or OpenStreetMap is reimported
+        const versions = [await osmService.getVersion()];
+        for (const type of types) {
+            const dataset = await sparqlClient.getTypeDataset(type, languages);
+            versions.push(dataset ? dataset.refreshedAt : 0);
+        }
+        const cacheKey = `STATS_${cacheManager.hashString(JSON.stringify([groupBy, filter || null, languageKey(languages), versions]))}`;
+        const cachedStats = await cacheManager.get(cacheKey);
+        if (cachedStats) {
+            return cachedStats;
+        }
+
+        const resolvedFilter = await regionService.resolveRegionNames(filter, languages);
+        const regions = groupBy === 'REGION' ? await regionService.getHierarchy(languages) : null;
+        const groupKey = GROUP_KEYS[groupBy];
+        const groups = new Map();
+        for (const feature of features) {
+            if (!matchesFilter(feature, resolvedFilter)) continue;
+            const group = groupKey(feature, regions);
+            if (!groups.has(group.key)) groups.set(group.key, { ...group, features: [] });
+            groups.get(group.key).features.push(feature);
+        }
+
+        const stats = [...groups.values()]
+            .map(({ key, name, features: groupFeatures }) => ({
+                key,
+                name,
+                count: groupFeatures.length,
+                ...Object.fromEntries(MEASUREMENTS.map(field => [field, this.summarize(groupFeatures, field)]))
+            }))
+            // Features without a group go last
+            .sort((a, b) => (a.key === null) - (b.key === null)
+                || String(a.name || a.key).localeCompare(String(b.name || b.key), languages[0]));
+
+        return cacheManager.set(cacheKey, stats, sparqlClient.datasetMaxAge);
+    }
+}
+
+module.exports = new StatsService();
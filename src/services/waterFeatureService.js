@@ -0,0 +1,93 @@
+// src/services/waterFeatureService.js
+const sparqlClient = require('../utils/sparqlClient');
+const regionService = require('./regionService');
+const { featureComparator, normalizeSort } = require('../utils/sorting');
+const { buildConnection } = require('../utils/pagination');
+const { validateFilter, matchesFilter, typesForFilter, filterFromArgs } = require('../utils/filters');
+
+class WaterFeatureService {
+    /**
+     * Find every water feature matching the filters, sorted but not paginated.
+     * Every combination of filters is evaluated by the same in-memory engine over the
+     * preloaded type datasets, and limit/offset are applied afterwards, so results
+     * don't depend on which arguments are set.
+     * @param {Object} args - type, region, regionId, minCapacity, minSurfaceArea, filter, sort, sortBy, sortOrder, languages
+     * @returns {Array} - Sorted water features
+     */
+    async findAllWaterFeatures(args) {
+        const sort = this.resolveSort(args);
+        const filter = filterFromArgs(args);
+        validateFilter(filter);
+
+        const types = typesForFilter(filter, sparqlClient.waterFeatureTypes);
+        const features = await sparqlClient.getAllFeatures(types, args.languages);
+        const resolvedFilter = await regionService.resolveRegionNames(filter, args.languages);
+
+        return features
+            .filter(feature => matchesFilter(feature, resolvedFilter))
+            .sort(this.comparator(sort, args.languages));
+    }
+
+    /**
+     * Work out the sort keys of a query: the sort list, or the single sortBy/sortOrder pair
+     * @param {Object} args - sort, sortBy, sortOrder
+     * @returns {Array} - Normalized sort keys
+     */
+    resolveSort(args) {
+        if (args.sort && args.sort.length > 0) {
+            return normalizeSort(args.sort);
+        }
+        if (args.sortBy) {
+            return normalizeSort([{ field: args.sortBy, direction: args.sortOrder }]);
+        }
+        return normalizeSort();
+    }
+
+    /**
+     * Comparator for sort keys, collating text in the first requested language
+     * @param {Array} sort - Normalized sort keys
+     * @param {Array} languages - Language fallback chain (optional)
+     * @returns {Function}
+     */
+    comparator(sort, languages) {
+        return featureComparator(sort, { locale: languages ? languages[0] : undefined });
+    }
+
+    /**
+     * Find water features matching the waterFeatures query arguments
+     * @param {Object} args - findAllWaterFeatures arguments plus limit and offset
+     * @returns {Array} - Water features
+     */
+    async findWaterFeatures(args) {
+        const features = await this.findAllWaterFeatures(args);
+
+        // Apply limit and offset
+        const offset = args.offset || 0;
+        const limit = args.limit || 100;
+        return features.slice(offset, offset + limit);
+    }
+
+    /**
+     * Find water features as a Relay connection
+     * @param {Object} args - findAllWaterFeatures arguments plus first, after, last and before
+     * @returns {Object} - { edges, pageInfo, totalCount }
+     */
+    async findWaterFeaturesConnection(args) {
+        const sort = this.resolveSort(args);
+        const features = await this.findAllWaterFeatures(args);
+
+        // Same default page size as waterFeatures
+        const first = args.first == null && args.last == null ? 100 : args.first;
+
+        return buildConnection(features, {
+            first,
+            after: args.after,
+            last: args.last,
+            before: args.before,
+            sort,
+            compare: this.comparator(sort, args.languages)
+        });
+    }
+}
+
+module.exports = new WaterFeatureService();
@@ -0,0 +1,33 @@
+// src/utils/auth.js
+const crypto = require('crypto');
+
+/**
+ * Read a bearer token from the Authorization header of a request
+ * @param {Object} req - HTTP request (optional, e.g. absent for WebSocket operations)
+ * @returns {String|null}
+ */
+function bearerToken(req) {
+    const header = req && req.headers ? req.headers.authorization : null;
+    const match = header ? /^Bearer\s+(.+)$/i.exec(header) : null;
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Check a token against ADMIN_TOKEN in constant time
+ * @param {String} token - Token sent by the client
+ * @param {String} adminToken - Expected token (defaults to ADMIN_TOKEN)
+ * @returns {Boolean} - false when no admin token is configured
+ */
+function isAdminToken(token, adminToken = process.env.ADMIN_TOKEN) {
+    if (!adminToken || !token) {
+        return false;
+    }
+    // Compare digests so neither the content nor the length of the token leaks through timing
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(token), digest(adminToken));
+}
+
+module.exports = {
+    bearerToken,
+    isAdminToken
+};
@@ -0,0 +1,54 @@
+// src/utils/errors.js
+const { ApolloError } = require('apollo-server-express');
+
+/**
+ * Failure talking to the SPARQL endpoint, surfaced to clients with an error code
+ */
+class UpstreamError extends ApolloError {
+    /**
+     * @param {String} message - Error message
+     * @param {String} code - GraphQL error code
+     * @param {Object} options - retryable, retryAfter (milliseconds), status (HTTP status from the endpoint)
+     */
+    constructor(message, code = 'UPSTREAM_ERROR', { retryable = false, retryAfter = null, status = null } = {}) {
+        super(message, code, retryAfter !== null ? { retryAfterSeconds: Math.ceil(retryAfter / 1000) } : {});
+        Object.defineProperty(this, 'name', { value: 'UpstreamError' });
+        this.retryable = retryable;
+        this.retryAfter = retryAfter;
+        this.status = status;
+    }
+}
+
+/**
+ * The endpoint did not answer in time, or the query hit the endpoint's own timeout
+ */
+class UpstreamTimeoutError extends UpstreamError {
+    constructor(message = 'Wikidata did not respond in time', options = {}) {
+        super(message, 'UPSTREAM_TIMEOUT', options);
+    }
+}
+
+/**
+ * The endpoint answered 429 Too Many Requests
+ */
+class UpstreamRateLimitedError extends UpstreamError {
+    constructor(message = 'Wikidata is rate limiting requests', options = {}) {
+        super(message, 'UPSTREAM_RATE_LIMITED', { retryable: true, ...options });
+    }
+}
+
+/**
+ * The endpoint is unreachable, failing with 5xx, or the circuit breaker is open
+ */
+class UpstreamUnavailableError extends UpstreamError {
+    constructor(message = 'Wikidata is currently unavailable', options = {}) {
+        super(message, 'UPSTREAM_UNAVAILABLE', { retryable: true, ...options });
+    }
+}
+
+module.exports = {
+    UpstreamError,
+    UpstreamTimeoutError,
+    UpstreamRateLimitedError,
+    UpstreamUnavailableError
+};
@@ -0,0 +1,214 @@
+// src/utils/filters.js
+const { isEntityId } = require('./sparqlBuilder');
+
+// Numeric fields that can be filtered with a range
+const RANGE_FIELDS = ['capacity', 'surfaceArea', 'length', 'width'];
+
+const SOURCES = ['WIKIDATA', 'OSM'];
+
+/**
+ * Where a feature comes from; features that were never merged with OpenStreetMap are Wikidata's
+ * @param {Object} feature - Water feature
+ * @returns {Array} - WIKIDATA and/or OSM
+ */
+function featureSources(feature) {
+    return feature.sources || ['WIKIDATA'];
+}
+
+/**
+ * Check whether a value lies in a FloatRange; missing values never match a range
+ * @param {Number} value
+ * @param {Object} range - gte, gt, lte, lt (all optional)
+ * @returns {Boolean}
+ */
+function inRange(value, range) {
+    if (typeof value !== 'number' || Number.isNaN(value)) return false;
+    if (range.gte != null && !(value >= range.gte)) return false;
+    if (range.gt != null && !(value > range.gt)) return false;
+    if (range.lte != null && !(value <= range.lte)) return false;
+    if (range.lt != null && !(value < range.lt)) return false;
+    return true;
+}
+
+/**
+ * Check whether one of a feature's operators or purposes matches a name or ID filter
+ * @param {Array} entities - { id, name } entries (missing on features cached by older versions)
+ * @param {String} name - Part of the name, case-insensitive (optional)
+ * @param {String} id - Wikidata ID (optional)
+ * @returns {Boolean}
+ */
+function matchesEntity(entities = [], name, id) {
+    if (name && !entities.some(entity => entity.name.toLowerCase().includes(name.toLowerCase()))) {
+        return false;
+    }
+    if (id && !entities.some(entity => entity.id === id)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Parse a date used in a filter
+ * @param {String} value - ISO 8601 date (e.g. "1970" or "1970-05-01")
+ * @param {String} name - Filter field, for the error message
+ * @returns {Number} - Timestamp in milliseconds
+ */
+function parseFilterDate(value, name) {
+    const date = Date.parse(/^\d{4}$/.test(value) ? `${value}-01-01` : value);
+    if (Number.isNaN(date)) {
+        throw new RangeError(`${name} must be an ISO 8601 date, got "${value}"`);
+    }
+    return date;
+}
+
+/**
+ * Check that a filter is well formed before evaluating it
+ * @param {Object} filter - WaterFeatureFilter
+ */
+function validateFilter(filter) {
+    if (!filter) return;
+
+    for (const name of ['inceptionBefore', 'inceptionAfter']) {
+        if (filter[name] != null) parseFilterDate(filter[name], name);
+    }
+    for (const name of ['regionId', 'operatorId', 'purposeId']) {
+        if (filter[name] != null && !isEntityId(filter[name])) {
+            throw new RangeError(`${name} must be a Wikidata ID such as Q12345, got "${filter[name]}"`);
+        }
+    }
+    for (const source of filter.sources || []) {
+        if (!SOURCES.includes(source)) {
+            throw new RangeError(`sources must be ${SOURCES.join(' or ')}, got "${source}"`);
+        }
+    }
+    for (const nested of [...(filter.and || []), ...(filter.or || [])]) {
+        validateFilter(nested);
+    }
+    if (filter.not) validateFilter(filter.not);
+}
+
+/**
+ * Check whether a water feature matches a WaterFeatureFilter.
+ * All conditions of a filter must match; `and`, `or` and `not` combine nested filters.
+ * @param {Object} feature - Water feature
+ * @param {Object} filter - WaterFeatureFilter (all fields optional)
+ * @returns {Boolean}
+ */
+function matchesFilter(feature, filter = {}) {
+    if (!filter) return true;
+
+    if (filter.types && filter.types.length > 0 && !filter.types.includes(feature.type)) {
+        return false;
+    }
+    if (filter.sources && filter.sources.length > 0
+        && !featureSources(feature).some(source => filter.sources.includes(source))) {
+        return false;
+    }
+    if (filter.nameContains) {
+        const name = filter.nameContains.toLowerCase();
+        if (!feature.name || !feature.name.toLowerCase().includes(name)) {
+            return false;
+        }
+    }
+    if (filter.region) {
+        // regionMatchIds are the regions named like this, see regionService.resolveRegionNames
+        const region = filter.region.toLowerCase();
+        const regionIds = feature.regionIds || [];
+        if (!(feature.locatedIn && feature.locatedIn.toLowerCase().includes(region))
+            && !(filter.regionMatchIds || []).some(id => regionIds.includes(id))) {
+            return false;
+        }
+    }
+    if (filter.regionId && !(feature.regionIds || []).includes(filter.regionId)) {
+        return false;
+    }
+    if (!matchesEntity(feature.operators, filter.operator, filter.operatorId)
+        || !matchesEntity(feature.purposes, filter.purpose, filter.purposeId)) {
+        return false;
+    }
+    if (filter.hasLocation != null && Boolean(feature.location) !== filter.hasLocation) {
+        return false;
+    }
+    if (filter.minCapacity != null && !(feature.capacity >= filter.minCapacity)) {
+        return false;
+    }
+    if (filter.minSurfaceArea != null && !(feature.surfaceArea >= filter.minSurfaceArea)) {
+        return false;
+    }
+    for (const field of RANGE_FIELDS) {
+        if (filter[field] && !inRange(feature[field], filter[field])) {
+            return false;
+        }
+    }
+    if (filter.inceptionBefore != null || filter.inceptionAfter != null) {
+        const inception = feature.inceptionDate ? Date.parse(feature.inceptionDate) : NaN;
+        if (Number.isNaN(inception)) return false;
+        if (filter.inceptionBefore != null && !(inception < parseFilterDate(filter.inceptionBefore, 'inceptionBefore'))) {
+            return false;
+        }
+        if (filter.inceptionAfter != null && !(inception > parseFilterDate(filter.inceptionAfter, 'inceptionAfter'))) {
+            return false;
+        }
+    }
+    if (filter.and && !filter.and.every(nested => matchesFilter(feature, nested))) {
+        return false;
+    }
+    if (filter.or && filter.or.length > 0 && !filter.or.some(nested => matchesFilter(feature, nested))) {
+        return false;
+    }
+    if (filter.not && matchesFilter(feature, filter.not)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Work out which type datasets can contain matches, so only those are loaded
+ * @param {Object} filter - WaterFeatureFilter
+ * @param {Array} allTypes - Every water feature type
+ * @returns {Array} - Types to load
+ */
+function typesForFilter(filter, allTypes) {
+    if (!filter) return allTypes;
+
+    let types = filter.types && filter.types.length > 0
+        ? allTypes.filter(type => filter.types.includes(type))
+        : allTypes;
+
+    for (const nested of filter.and || []) {
+        const nestedTypes = typesForFilter(nested, allTypes);
+        types = types.filter(type => nestedTypes.includes(type));
+    }
+    if (filter.or && filter.or.length > 0) {
+        const union = new Set(filter.or.flatMap(nested => typesForFilter(nested, allTypes)));
+        types = types.filter(type => union.has(type));
+    }
+    return types;
+}
+
+/**
+ * Combine the legacy waterFeatures arguments (type, region, regionId, minCapacity, minSurfaceArea)
+ * with a filter argument into one filter
+ * @param {Object} args - Query arguments
+ * @returns {Object} - WaterFeatureFilter
+ */
+function filterFromArgs(args) {
+    const filter = { and: [] };
+    if (args.type) filter.types = [args.type];
+    if (args.region) filter.region = args.region;
+    if (args.regionId) filter.regionId = args.regionId;
+    if (args.minCapacity != null) filter.minCapacity = args.minCapacity;
+    if (args.minSurfaceArea != null) filter.minSurfaceArea = args.minSurfaceArea;
+    if (args.filter) filter.and.push(args.filter);
+    return filter;
+}
+
+module.exports = {
+    RANGE_FIELDS,
+    SOURCES,
+    featureSources,
+    validateFilter,
+    matchesFilter,
+    typesForFilter,
+    filterFromArgs
+};
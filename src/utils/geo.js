@@ -0,0 +1,342 @@
+// src/utils/geo.js
+const EARTH_RADIUS_KM = 6371;
+const METRES_PER_DEGREE = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+
+/**
+ * Convert degrees to radians
+ * @param {Number} degrees - Angle in degrees
+ * @returns {Number} - Angle in radians
+ */
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {Number} - Distance in kilometres
+ */
+function distanceKm(from, to) {
+    const dLat = toRadians(to.latitude - from.latitude);
+    const dLon = toRadians(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+/**
+ * Check whether a point lies inside a bounding box
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} box - { minLat, minLon, maxLat, maxLon }
+ * @returns {Boolean}
+ */
+function isInBox(point, { minLat, minLon, maxLat, maxLon }) {
+    return point.latitude >= minLat && point.latitude <= maxLat &&
+        point.longitude >= minLon && point.longitude <= maxLon;
+}
+
+/**
+ * Check whether a latitude/longitude pair is within valid WGS84 ranges
+ * @param {Number} latitude
+ * @param {Number} longitude
+ * @returns {Boolean}
+ */
+function isValidCoordinate(latitude, longitude) {
+    return Number.isFinite(latitude) && Number.isFinite(longitude) &&
+        latitude >= -90 && latitude <= 90 &&
+        longitude >= -180 && longitude <= 180;
+}
+
+/**
+ * Area of a polygon, projected onto a plane around its first point. Accurate to well
+ * under a percent for lakes and reservoirs, which span at most a few kilometres.
+ * @param {Array} rings - GeoJSON rings of [longitude, latitude]: the outer ring, then holes
+ * @returns {Number} - Area in square metres
+ */
+function polygonArea(rings) {
+    if (!rings.length || !rings[0].length) return 0;
+    const [lon0, lat0] = rings[0][0];
+    const xScale = METRES_PER_DEGREE * Math.cos(toRadians(lat0));
+
+    const ringArea = (ring) => {
+        let sum = 0;
+        for (let i = 0; i < ring.length; i++) {
+            const [x1, y1] = ring[i];
+            const [x2, y2] = ring[(i + 1) % ring.length];
+            sum += ((x1 - lon0) * xScale) * ((y2 - lat0) * METRES_PER_DEGREE)
+                - ((x2 - lon0) * xScale) * ((y1 - lat0) * METRES_PER_DEGREE);
+        }
+        return Math.abs(sum) / 2;
+    };
+
+    const [outer, ...holes] = rings;
+    return Math.max(0, ringArea(outer) - holes.reduce((total, hole) => total + ringArea(hole), 0));
+}
+
+/**
+ * Centroid of a ring (the centre of mass of its area). It can lie outside a
+ * crescent-shaped ring; a ring without area falls back to the mean of its points.
+ * @param {Array} ring - GeoJSON ring of [longitude, latitude]
+ * @returns {Object} - { latitude, longitude }
+ */
+function ringCentroid(ring) {
+    let area = 0;
+    let x = 0;
+    let y = 0;
+    for (let i = 0; i < ring.length; i++) {
+        const [x1, y1] = ring[i];
+        const [x2, y2] = ring[(i + 1) % ring.length];
+        const cross = x1 * y2 - x2 * y1;
+        area += cross;
+        x += (x1 + x2) * cross;
+        y += (y1 + y2) * cross;
+    }
+    if (Math.abs(area) < 1e-12) {
+        return {
+            latitude: ring.reduce((sum, point) => sum + point[1], 0) / ring.length,
+            longitude: ring.reduce((sum, point) => sum + point[0], 0) / ring.length
+        };
+    }
+    return { latitude: y / (3 * area), longitude: x / (3 * area) };
+}
+
+/**
+ * Length of a line
+ * @param {Array} coordinates - GeoJSON positions of [longitude, latitude]
+ * @returns {Number} - Length in kilometres
+ */
+function lineLength(coordinates) {
+    let length = 0;
+    for (let i = 1; i < coordinates.length; i++) {
+        length += distanceKm(
+            { latitude: coordinates[i - 1][1], longitude: coordinates[i - 1][0] },
+            { latitude: coordinates[i][1], longitude: coordinates[i][0] }
+        );
+    }
+    return length;
+}
+
+/**
+ * Split a GeoJSON geometry into polygons and lines; points are dropped
+ * @param {Object} geometry - Any GeoJSON geometry, GeometryCollections included
+ * @returns {Object} - { polygons: [rings], lines: [positions] }
+ */
+function geometryParts(geometry) {
+    const parts = { polygons: [], lines: [] };
+    if (!geometry) return parts;
+    switch (geometry.type) {
+        case 'Polygon':
+            parts.polygons.push(geometry.coordinates);
+            break;
+        case 'MultiPolygon':
+            parts.polygons.push(...geometry.coordinates);
+            break;
+        case 'LineString':
+            parts.lines.push(geometry.coordinates);
+            break;
+        case 'MultiLineString':
+            parts.lines.push(...geometry.coordinates);
+            break;
+        case 'GeometryCollection':
+            for (const member of geometry.geometries || []) {
+                const memberParts = geometryParts(member);
+                parts.polygons.push(...memberParts.polygons);
+                parts.lines.push(...memberParts.lines);
+            }
+            break;
+        default:
+            break;
+    }
+    return parts;
+}
+
+/**
+ * Combine geometries into one (Multi)Polygon, or (Multi)LineString when there are no
+ * polygons: a lake drawn with its outline and inflows is the outline
+ * @param {Array} geometries - GeoJSON geometries
+ * @returns {Object|null} - GeoJSON geometry, null without polygons or lines
+ */
+function combineGeometries(geometries) {
+    const polygons = [];
+    const lines = [];
+    for (const geometry of geometries) {
+        const parts = geometryParts(geometry);
+        polygons.push(...parts.polygons);
+        lines.push(...parts.lines);
+    }
+    if (polygons.length > 0) {
+        return polygons.length === 1
+            ? { type: 'Polygon', coordinates: polygons[0] }
+            : { type: 'MultiPolygon', coordinates: polygons };
+    }
+    if (lines.length > 0) {
+        return lines.length === 1
+            ? { type: 'LineString', coordinates: lines[0] }
+            : { type: 'MultiLineString', coordinates: lines };
+    }
+    return null;
+}
+
+/**
+ * Douglas-Peucker simplification of a line, measured in metres on a plane around its first point
+ * @param {Array} positions - [longitude, latitude] positions
+ * @param {Number} tolerance - Largest distance a removed point may lie from the result, in metres
+ * @returns {Array} - Positions, first and last kept
+ */
+function simplifyPositions(positions, tolerance) {
+    if (positions.length < 3) return positions;
+    const xScale = METRES_PER_DEGREE * Math.cos(toRadians(positions[0][1]));
+    const points = positions.map(([lon, lat]) => [lon * xScale, lat * METRES_PER_DEGREE]);
+
+    const keep = new Array(points.length).fill(false);
+    keep[0] = true;
+    keep[points.length - 1] = true;
+    // An explicit stack rather than recursion: river lines have tens of thousands of points
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        const [x1, y1] = points[first];
+        const [x2, y2] = points[last];
+        const dx = x2 - x1;
+        const dy = y2 - y1;
+        const segmentLength = Math.hypot(dx, dy);
+
+        let farthest = -1;
+        let maxDistance = tolerance;
+        for (let i = first + 1; i < last; i++) {
+            const [x, y] = points[i];
+            // Distance to the segment's line, or to its first point when it is closed (a ring)
+            const distance = segmentLength === 0
+                ? Math.hypot(x - x1, y - y1)
+                : Math.abs(dy * x - dx * y + x2 * y1 - y2 * x1) / segmentLength;
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                farthest = i;
+            }
+        }
+        if (farthest !== -1) {
+            keep[farthest] = true;
+            stack.push([first, farthest], [farthest, last]);
+        }
+    }
+    return positions.filter((position, i) => keep[i]);
+}
+
+/**
+ * Simplify the lines and rings of a geometry. Rings that would collapse below four
+ * positions are kept as they are, so small lakes keep their shape.
+ * @param {Object} geometry - (Multi)Polygon or (Multi)LineString
+ * @param {Number} tolerance - In metres; 0 returns the geometry unchanged
+ * @returns {Object} - GeoJSON geometry
+ */
+function simplifyGeometry(geometry, tolerance) {
+    if (!(tolerance > 0)) return geometry;
+    const simplifyRing = (ring) => {
+        const simplified = simplifyPositions(ring, tolerance);
+        return simplified.length >= 4 ? simplified : ring;
+    };
+    const simplifyPolygon = rings => rings.map(simplifyRing);
+
+    switch (geometry.type) {
+        case 'Polygon':
+            return { type: 'Polygon', coordinates: simplifyPolygon(geometry.coordinates) };
+        case 'MultiPolygon':
+            return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(simplifyPolygon) };
+        case 'LineString':
+            return { type: 'LineString', coordinates: simplifyPositions(geometry.coordinates, tolerance) };
+        case 'MultiLineString':
+            return { type: 'MultiLineString', coordinates: geometry.coordinates.map(line => simplifyPositions(line, tolerance)) };
+        default:
+            return geometry;
+    }
+}
+
+/**
+ * Bounding box of a geometry
+ * @param {Object} geometry - (Multi)Polygon or (Multi)LineString
+ * @returns {Array} - [minLongitude, minLatitude, maxLongitude, maxLatitude]
+ */
+function geometryBbox(geometry) {
+    const { polygons, lines } = geometryParts(geometry);
+    const bbox = [Infinity, Infinity, -Infinity, -Infinity];
+    for (const positions of [...polygons.flat(), ...lines]) {
+        for (const [lon, lat] of positions) {
+            bbox[0] = Math.min(bbox[0], lon);
+            bbox[1] = Math.min(bbox[1], lat);
+            bbox[2] = Math.max(bbox[2], lon);
+            bbox[3] = Math.max(bbox[3], lat);
+        }
+    }
+    return bbox;
+}
+
+/**
+ * Centre of a geometry: of the polygons weighted by area, or of the lines' segments
+ * weighted by length. Like any centroid it can lie outside a curved shape.
+ * @param {Object} geometry - (Multi)Polygon or (Multi)LineString
+ * @returns {Object|null} - { latitude, longitude }
+ */
+function geometryCentroid(geometry) {
+    const { polygons, lines } = geometryParts(geometry);
+    let weight = 0;
+    let latitude = 0;
+    let longitude = 0;
+    const add = (point, pointWeight) => {
+        weight += pointWeight;
+        latitude += point.latitude * pointWeight;
+        longitude += point.longitude * pointWeight;
+    };
+
+    if (polygons.length > 0) {
+        polygons.forEach(rings => add(ringCentroid(rings[0]), polygonArea(rings)));
+    } else {
+        for (const line of lines) {
+            for (let i = 1; i < line.length; i++) {
+                const [lon1, lat1] = line[i - 1];
+                const [lon2, lat2] = line[i];
+                add({ latitude: (lat1 + lat2) / 2, longitude: (lon1 + lon2) / 2 }, lineLength([line[i - 1], line[i]]));
+            }
+        }
+    }
+    if (weight === 0) {
+        // Degenerate shapes (zero area or length) fall back to their first position
+        const first = polygons.length > 0 ? polygons[0][0][0] : lines.length > 0 ? lines[0][0] : null;
+        return first ? { latitude: first[1], longitude: first[0] } : null;
+    }
+    return { latitude: latitude / weight, longitude: longitude / weight };
+}
+
+/**
+ * Total length of the lines of a geometry
+ * @param {Object} geometry - (Multi)LineString
+ * @returns {Number} - Kilometres (0 for polygons)
+ */
+function geometryLength(geometry) {
+    return geometryParts(geometry).lines.reduce((sum, line) => sum + lineLength(line), 0);
+}
+
+/**
+ * Total area of the polygons of a geometry, holes excluded
+ * @param {Object} geometry - (Multi)Polygon
+ * @returns {Number} - Square metres (0 for lines)
+ */
+function geometryArea(geometry) {
+    return geometryParts(geometry).polygons.reduce((sum, rings) => sum + polygonArea(rings), 0);
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    distanceKm,
+    isInBox,
+    isValidCoordinate,
+    polygonArea,
+    ringCentroid,
+    lineLength,
+    combineGeometries,
+    simplifyGeometry,
+    geometryBbox,
+    geometryCentroid,
+    geometryLength,
+    geometryArea
+};
@@ -0,0 +1,150 @@
+// src/utils/geoshapeClient.js
+const fetch = require('node-fetch');
+const cacheManager = require('../cache/cacheManager');
+const logger = require('./logger');
+const { combineGeometries } = require('./geo');
+const { ConcurrencyLimiter } = require('./resilience');
+const {
+    UpstreamError,
+    UpstreamTimeoutError,
+    UpstreamRateLimitedError,
+    UpstreamUnavailableError
+} = require('./errors');
+
+/**
+ * Reads the outlines and courses that Wikidata links through P3896 (geoshape): map data
+ * pages on Wikimedia Commons such as "Data:Iskar Reservoir.map". Pages are fetched raw
+ * from GEOSHAPE_ENDPOINT, so a local server answering ?title=...&action=raw can stand in for Commons.
+ */
+class GeoshapeClient {
+    constructor() {
+        this.endpoint = process.env.GEOSHAPE_ENDPOINT || 'https://commons.wikimedia.org/w/index.php';
+        this.timeout = parseInt(process.env.GEOSHAPE_TIMEOUT, 10) || 10000;
+        this.limiter = new ConcurrencyLimiter(parseInt(process.env.GEOSHAPE_MAX_CONCURRENCY, 10) || 2);
+        // Map data rarely changes; pages that don't exist are cached as well
+        this.cacheTTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+        // Pages currently being fetched
+        this.inFlight = new Map();
+        // A snapshot never contacts Wikimedia, unless a stand-in has been configured
+        this.offline = (process.env.DATA_SOURCE || '').startsWith('snapshot:') && !process.env.GEOSHAPE_ENDPOINT;
+    }
+
+    /**
+     * Cache key of a map data page
+     * @param {String} title - Page title, e.g. "Data:Iskar Reservoir.map"
+     * @returns {String}
+     */
+    cacheKey(title) {
+        return `GEOSHAPE_${title}`;
+    }
+
+    /**
+     * Geometry of a map data page: its polygons, or its lines when it has no polygons
+     * @param {String} title - Page title, e.g. "Data:Iskar Reservoir.map"
+     * @returns {Object|null} - GeoJSON geometry, null for missing or empty pages
+     */
+    async getGeometry(title) {
+        if (this.offline) return null;
+
+        const cached = await cacheManager.get(this.cacheKey(title));
+        if (cached) return cached.geometry;
+
+        if (this.inFlight.has(title)) return this.inFlight.get(title);
+        const request = this.fetchGeometry(title);
+        this.inFlight.set(title, request);
+        try {
+            return await request;
+        } finally {
+            this.inFlight.delete(title);
+        }
+    }
+
+    /**
+     * Fetch and cache a page, falling back to an expired copy while Commons is failing
+     * @param {String} title - Page title
+     * @returns {Object|null} - GeoJSON geometry
+     */
+    async fetchGeometry(title) {
+        let geometry;
+        try {
+            geometry = await this.limiter.run(() => this.executeRequest(title));
+        } catch (error) {
+            if (error instanceof UpstreamError) {
+                const stale = await cacheManager.getStale(this.cacheKey(title));
+                if (stale) {
+                    logger.warn('Commons failed, serving stale geoshape', { title, code: error.extensions.code });
+                    return stale.geometry;
+                }
+            }
+            throw error;
+        }
+
+        await cacheManager.set(this.cacheKey(title), { geometry }, this.cacheTTL);
+        return geometry;
+    }
+
+    /**
+     * Send a single request for a page
+     * @param {String} title - Page title
+     * @returns {Object|null} - GeoJSON geometry
+     */
+    async executeRequest(title) {
+        const url = new URL(this.endpoint);
+        url.searchParams.append('title', title);
+        url.searchParams.append('action', 'raw');
+
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        try {
+            let response;
+            try {
+                response = await fetch(url.toString(), {
+                    headers: {
+                        'Accept': 'application/json',
+                        'User-Agent': 'BulgariaWaterFeaturesAPI/1.0'
+                    },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new UpstreamTimeoutError(`Commons did not respond within ${this.timeout}ms`, { retryable: true });
+                }
+                throw new UpstreamUnavailableError(`Could not reach Commons: ${error.message}`);
+            }
+
+            // A geoshape statement pointing to a deleted or renamed page
+            if (response.status === 404) {
+                logger.warn('Geoshape page not found', { title });
+                return null;
+            }
+            if (!response.ok) {
+                const options = { status: response.status };
+                if (response.status === 429) {
+                    throw new UpstreamRateLimitedError('Commons is rate limiting requests', options);
+                }
+                if (response.status >= 500) {
+                    throw new UpstreamUnavailableError(`Commons responded with ${response.status}`, options);
+                }
+                throw new UpstreamError(`Geoshape request failed with ${response.status}`, 'UPSTREAM_ERROR', options);
+            }
+
+            let page;
+            try {
+                page = await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    throw new UpstreamTimeoutError(`Commons did not respond within ${this.timeout}ms`, { retryable: true });
+                }
+                throw new UpstreamUnavailableError(`Invalid map data from Commons: ${error.message}`);
+            }
+
+            // Map data pages hold a FeatureCollection under "data"
+            const features = page && page.data && Array.isArray(page.data.features) ? page.data.features : [];
+            return combineGeometries(features.map(feature => feature && feature.geometry));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+}
+
+module.exports = new GeoshapeClient();
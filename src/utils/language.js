@@ -0,0 +1,53 @@
+// src/utils/language.js
+
+// BCP 47-style language codes as used by Wikidata (e.g. "bg", "en", "de-ch")
+const LANGUAGE_CODE_PATTERN = /^[a-z]{2,3}(-[a-z0-9]+)*$/;
+
+const DEFAULT_LANGUAGES = process.env.DEFAULT_LANGUAGE || 'en,bg';
+
+// Longest fallback chain accepted; every chain has datasets of its own to load
+const MAX_LANGUAGES = 5;
+
+/**
+ * Parse a comma-separated language fallback chain such as "bg,en"
+ * @param {String} language - Fallback chain, most preferred first (defaults to DEFAULT_LANGUAGE)
+ * @returns {Array} - Normalized language codes without duplicates
+ */
+function parseLanguages(language = DEFAULT_LANGUAGES) {
+    const languages = [];
+
+    for (const part of String(language || DEFAULT_LANGUAGES).split(',')) {
+        const code = part.trim().toLowerCase();
+        if (!code) continue;
+        if (!LANGUAGE_CODE_PATTERN.test(code)) {
+            throw new RangeError(`Invalid language code: ${part.trim()}`);
+        }
+        if (!languages.includes(code)) {
+            languages.push(code);
+        }
+    }
+
+    if (languages.length === 0) {
+        throw new RangeError('At least one language code is required');
+    }
+    if (languages.length > MAX_LANGUAGES) {
+        throw new RangeError(`At most ${MAX_LANGUAGES} language codes are allowed, got ${languages.length}`);
+    }
+
+    return languages;
+}
+
+/**
+ * Cache key suffix identifying a language fallback chain
+ * @param {Array} languages - Parsed language codes
+ * @returns {String}
+ */
+function languageKey(languages) {
+    return languages.join(',');
+}
+
+module.exports = {
+    DEFAULT_LANGUAGES,
+    parseLanguages,
+    languageKey
+};
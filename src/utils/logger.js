@@ -0,0 +1,107 @@
+// src/utils/logger.js
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Incoming X-Request-Id values are kept only if they look like an ID
+const REQUEST_ID = /^[A-Za-z0-9._-]{1,128}$/;
+
+// Request context of the code currently running, set by requestContext()
+const requestStorage = new AsyncLocalStorage();
+
+/**
+ * Serialize an error so its message and code survive JSON.stringify
+ * @param {Error} error
+ * @returns {Object}
+ */
+function serializeError(error) {
+    return {
+        name: error.name,
+        message: error.message,
+        code: error.extensions ? error.extensions.code : error.code,
+        stack: error.stack
+    };
+}
+
+/**
+ * Writes one JSON object per line: { time, level, msg, requestId, ...fields }.
+ * The request ID is taken from the request being handled, so code deep inside a
+ * resolver doesn't need to pass it around. Background work has no request ID.
+ */
+class Logger {
+    constructor() {
+        const level = (process.env.LOG_LEVEL || 'info').toLowerCase();
+        this.minLevel = LEVELS[level] || LEVELS.info;
+    }
+
+    /**
+     * Write a log line
+     * @param {String} level - debug, info, warn or error
+     * @param {String} msg - Message
+     * @param {Object} fields - Extra fields (optional); an `error` field is serialized
+     */
+    log(level, msg, fields = {}) {
+        if (LEVELS[level] < this.minLevel) return;
+
+        const context = requestStorage.getStore();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg,
+            ...(context ? { requestId: context.requestId } : {}),
+            ...fields
+        };
+        if (fields.error instanceof Error) {
+            entry.error = serializeError(fields.error);
+        }
+
+        const line = JSON.stringify(entry) + '\n';
+        if (LEVELS[level] >= LEVELS.warn) {
+            process.stderr.write(line);
+        } else {
+            process.stdout.write(line);
+        }
+    }
+
+    debug(msg, fields) {
+        this.log('debug', msg, fields);
+    }
+
+    info(msg, fields) {
+        this.log('info', msg, fields);
+    }
+
+    warn(msg, fields) {
+        this.log('warn', msg, fields);
+    }
+
+    error(msg, fields) {
+        this.log('error', msg, fields);
+    }
+
+    /**
+     * ID of the request being handled
+     * @returns {String|null}
+     */
+    requestId() {
+        const context = requestStorage.getStore();
+        return context ? context.requestId : null;
+    }
+
+    /**
+     * Express middleware giving every request an ID: the client's X-Request-Id when it
+     * sends a usable one, a new UUID otherwise. The ID is echoed in the response.
+     * @returns {Function}
+     */
+    requestContext() {
+        return (req, res, next) => {
+            const header = req.get('x-request-id');
+            const requestId = header && REQUEST_ID.test(header) ? header : randomUUID();
+            res.set('X-Request-Id', requestId);
+            requestStorage.run({ requestId }, next);
+        };
+    }
+}
+
+module.exports = new Logger();
@@ -0,0 +1,38 @@
+// src/utils/metrics.js
+const client = require('prom-client');
+
+// Every metric of the API; served in the Prometheus text format on /metrics
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const graphqlOperations = new client.Counter({
+    name: 'graphql_operations_total',
+    help: 'GraphQL operations by root field, type and outcome',
+    labelNames: ['operation', 'type', 'status'],
+    registers: [register]
+});
+
+const graphqlOperationDuration = new client.Histogram({
+    name: 'graphql_operation_duration_seconds',
+    help: 'GraphQL operation latency by root field and type',
+    labelNames: ['operation', 'type'],
+    buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+    registers: [register]
+});
+
+// status is the HTTP status code, or "timeout" / "network_error" when there was no response
+const sparqlRequestDuration = new client.Histogram({
+    name: 'sparql_request_duration_seconds',
+    help: 'Latency of requests to the SPARQL endpoint by response status',
+    labelNames: ['status'],
+    buckets: [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 20, 30, 60],
+    registers: [register]
+});
+
+module.exports = {
+    client,
+    register,
+    graphqlOperations,
+    graphqlOperationDuration,
+    sparqlRequestDuration
+};
@@ -0,0 +1,113 @@
+// src/utils/pagination.js
+const { SORT_FIELDS } = require('./sorting');
+
+/**
+ * Describe a sort order as a string, so a cursor can only be used with the order it came from
+ * @param {Array} sort - Normalized sort keys
+ * @returns {String}
+ */
+function sortSignature(sort) {
+    return sort.map(({ field, direction, nulls }) => `${field}:${direction}:${nulls}`).join(',');
+}
+
+/**
+ * Encode an opaque cursor from the sort key of a feature.
+ * Cursors point at a position in the sort order rather than an index, so they stay
+ * valid when the cached dataset is refreshed and features are added or removed.
+ * @param {Object} feature - Water feature
+ * @param {Array} sort - Normalized sort keys the list is sorted by
+ * @returns {String} - Cursor
+ */
+function encodeCursor(feature, sort) {
+    const values = sort.map(({ field }) => {
+        const value = feature[SORT_FIELDS[field]];
+        return value === undefined ? null : value;
+    });
+    return Buffer.from(JSON.stringify([sortSignature(sort), values, feature.id])).toString('base64');
+}
+
+/**
+ * Decode a cursor into a sort key
+ * @param {String} cursor - Cursor produced by encodeCursor
+ * @param {Array} sort - Normalized sort keys the list is sorted by
+ * @returns {Object} - Pseudo feature with the sort fields and ID
+ */
+function decodeCursor(cursor, sort) {
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(cursor, 'base64').toString('utf8'));
+    } catch (error) {
+        throw new RangeError('Invalid cursor');
+    }
+
+    if (!Array.isArray(decoded) || decoded.length !== 3 || !Array.isArray(decoded[1]) ||
+        decoded[1].length !== sort.length || typeof decoded[2] !== 'string') {
+        throw new RangeError('Invalid cursor');
+    }
+    if (decoded[0] !== sortSignature(sort)) {
+        throw new RangeError(`Cursor was created for a list sorted by ${decoded[0]}, not ${sortSignature(sort)}`);
+    }
+
+    const key = { id: decoded[2] };
+    sort.forEach(({ field }, index) => {
+        key[SORT_FIELDS[field]] = decoded[1][index];
+    });
+    return key;
+}
+
+/**
+ * Build a Relay connection from a fully sorted list
+ * @param {Array} features - Features sorted with compare
+ * @param {Object} params - first, after, last, before, sort (normalized sort keys), compare
+ * @returns {Object} - { edges, pageInfo, totalCount }
+ */
+function buildConnection(features, { first, after, last, before, sort, compare }) {
+    if ((first !== undefined && first !== null && first < 0) ||
+        (last !== undefined && last !== null && last < 0)) {
+        throw new RangeError('first and last must not be negative');
+    }
+
+    let start = 0;
+    let end = features.length;
+
+    if (after) {
+        const afterKey = decodeCursor(after, sort);
+        while (start < end && compare(features[start], afterKey) <= 0) start++;
+    }
+    if (before) {
+        const beforeKey = decodeCursor(before, sort);
+        while (end > start && compare(features[end - 1], beforeKey) >= 0) end--;
+    }
+
+    const windowStart = start;
+    const windowEnd = end;
+
+    if (first !== undefined && first !== null) {
+        end = Math.min(end, start + first);
+    }
+    if (last !== undefined && last !== null) {
+        start = Math.max(start, end - last);
+    }
+
+    const edges = features.slice(start, end).map(feature => ({
+        node: feature,
+        cursor: encodeCursor(feature, sort)
+    }));
+
+    return {
+        edges,
+        pageInfo: {
+            hasPreviousPage: start > windowStart || (windowStart > 0 && !!after),
+            hasNextPage: end < windowEnd || (windowEnd < features.length && !!before),
+            startCursor: edges.length > 0 ? edges[0].cursor : null,
+            endCursor: edges.length > 0 ? edges[edges.length - 1].cursor : null
+        },
+        totalCount: features.length
+    };
+}
+
+module.exports = {
+    encodeCursor,
+    decodeCursor,
+    buildConnection
+};
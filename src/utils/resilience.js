@@ -0,0 +1,168 @@
+// src/utils/resilience.js
+
+/**
+ * Wait for a number of milliseconds
+ * @param {Number} ms
+ */
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Parse a Retry-After header (delay in seconds or an HTTP date)
+ * @param {String} header - Header value
+ * @param {Number} now - Current time in milliseconds
+ * @returns {Number|null} - Delay in milliseconds, or null if missing/invalid
+ */
+function parseRetryAfter(header, now = Date.now()) {
+    if (!header) return null;
+
+    if (/^\s*\d+\s*$/.test(header)) {
+        return parseInt(header, 10) * 1000;
+    }
+
+    const date = Date.parse(header);
+    if (Number.isNaN(date)) return null;
+    return Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff delay with full jitter
+ * @param {Number} attempt - Zero-based retry number
+ * @param {Number} baseDelay - Delay of the first retry in milliseconds
+ * @param {Number} maxDelay - Upper bound in milliseconds
+ * @returns {Number} - Delay in milliseconds
+ */
+function backoffDelay(attempt, baseDelay, maxDelay) {
+    const ceiling = Math.min(maxDelay, baseDelay * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+/**
+ * Limits how many tasks run at once. Waiting tasks with a high priority
+ * (user requests) start before low priority ones (background refreshes).
+ */
+class ConcurrencyLimiter {
+    /**
+     * @param {Number} maxConcurrent - Maximum number of tasks running at once
+     */
+    constructor(maxConcurrent) {
+        this.maxConcurrent = Math.max(1, maxConcurrent);
+        this.active = 0;
+        this.queues = { high: [], low: [] };
+    }
+
+    /**
+     * Run a task as soon as a slot is free
+     * @param {Function} task - Async function
+     * @param {String} priority - 'high' or 'low'
+     * @returns {Promise} - Result of the task
+     */
+    async run(task, priority = 'high') {
+        await this.acquire(priority);
+        try {
+            return await task();
+        } finally {
+            this.release();
+        }
+    }
+
+    acquire(priority) {
+        if (this.active < this.maxConcurrent) {
+            this.active++;
+            return Promise.resolve();
+        }
+        return new Promise(resolve => {
+            this.queues[priority === 'low' ? 'low' : 'high'].push(resolve);
+        });
+    }
+
+    release() {
+        const next = this.queues.high.shift() || this.queues.low.shift();
+        if (next) {
+            // Hand the slot straight to the next task
+            next();
+        } else {
+            this.active--;
+        }
+    }
+
+    get pending() {
+        return this.queues.high.length + this.queues.low.length;
+    }
+}
+
+/**
+ * Circuit breaker: after failureThreshold consecutive failures, requests are
+ * rejected for resetTimeout, then a single trial request decides whether to close again.
+ */
+class CircuitBreaker {
+    /**
+     * @param {Object} options - failureThreshold, resetTimeout (milliseconds)
+     */
+    constructor({ failureThreshold = 5, resetTimeout = 60000 } = {}) {
+        this.failureThreshold = failureThreshold;
+        this.resetTimeout = resetTimeout;
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Check whether a request may go out now
+     * @returns {Boolean}
+     */
+    canRequest(now = Date.now()) {
+        if (this.state === 'CLOSED') return true;
+
+        if (this.state === 'OPEN' && now - this.openedAt >= this.resetTimeout) {
+            this.state = 'HALF_OPEN';
+        }
+        if (this.state === 'HALF_OPEN' && !this.trialInFlight) {
+            this.trialInFlight = true;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Milliseconds until the breaker lets a trial request through
+     * @returns {Number}
+     */
+    remainingOpenTime(now = Date.now()) {
+        if (this.state !== 'OPEN') return 0;
+        return Math.max(0, this.resetTimeout - (now - this.openedAt));
+    }
+
+    recordSuccess() {
+        this.state = 'CLOSED';
+        this.failures = 0;
+        this.openedAt = null;
+        this.trialInFlight = false;
+    }
+
+    recordFailure(now = Date.now()) {
+        this.failures++;
+        if (this.state === 'HALF_OPEN' || this.failures >= this.failureThreshold) {
+            this.state = 'OPEN';
+            this.openedAt = now;
+        }
+        this.trialInFlight = false;
+    }
+
+    /**
+     * Release a half-open trial that ended without telling us anything about the endpoint
+     */
+    releaseTrial() {
+        this.trialInFlight = false;
+    }
+}
+
+module.exports = {
+    sleep,
+    parseRetryAfter,
+    backoffDelay,
+    ConcurrencyLimiter,
+    CircuitBreaker
+};
@@ -0,0 +1,151 @@
+// src/utils/sorting.js
+
+// WaterFeatureSortField values and the feature fields they sort by
+const SORT_FIELDS = {
+    NAME: 'name',
+    TYPE: 'type',
+    LOCATED_IN: 'locatedIn',
+    CAPACITY: 'capacity',
+    SURFACE_AREA: 'surfaceArea',
+    LENGTH: 'length',
+    WIDTH: 'width',
+    INCEPTION_DATE: 'inceptionDate',
+    ID: 'id'
+};
+
+const DEFAULT_SORT = [{ field: 'NAME', direction: 'ASC', nulls: 'LAST' }];
+
+const collators = new Map();
+
+/**
+ * Get a collator for a language, so names sort in that language's alphabetical order
+ * (e.g. Cyrillic names in Bulgarian order)
+ * @param {String} locale - Language code (optional)
+ * @returns {Intl.Collator}
+ */
+function getCollator(locale) {
+    const key = locale || '';
+    if (!collators.has(key)) {
+        let collator;
+        try {
+            collator = new Intl.Collator(locale, { sensitivity: 'base', numeric: true });
+        } catch (error) {
+            // Unknown locale codes fall back to the default collation
+            collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+        }
+        collators.set(key, collator);
+    }
+    return collators.get(key);
+}
+
+/**
+ * Check whether a value counts as missing for sorting
+ * @param {*} value
+ * @returns {Boolean}
+ */
+function isMissing(value) {
+    return value === null || value === undefined || (typeof value === 'number' && Number.isNaN(value));
+}
+
+/**
+ * Compare two present field values: numbers numerically, dates chronologically,
+ * everything else with locale-aware collation
+ * @param {*} a
+ * @param {*} b
+ * @param {String} field - Feature field
+ * @param {Intl.Collator} collator
+ * @returns {Number}
+ */
+function compareValues(a, b, field, collator = getCollator()) {
+    if (typeof a === 'number' && typeof b === 'number') {
+        return a - b;
+    }
+    if (field === 'inceptionDate') {
+        const aTime = Date.parse(a);
+        const bTime = Date.parse(b);
+        if (!Number.isNaN(aTime) && !Number.isNaN(bTime)) {
+            return aTime - bTime;
+        }
+    }
+    return collator.compare(String(a), String(b));
+}
+
+/**
+ * Map a sort field given as a WaterFeatureSortField value or a feature field name
+ * (e.g. "SURFACE_AREA" or "surfaceArea") to the WaterFeatureSortField value
+ * @param {String} name - Sort field
+ * @returns {String} - WaterFeatureSortField value
+ */
+function parseSortField(name) {
+    if (SORT_FIELDS[name]) return name;
+    const field = Object.keys(SORT_FIELDS).find(key => SORT_FIELDS[key] === name);
+    if (!field) {
+        throw new RangeError(`Unknown sort field: ${name}`);
+    }
+    return field;
+}
+
+/**
+ * Normalize sort keys, filling in the default direction (ASC) and null placement (LAST)
+ * @param {Array} sort - [{ field, direction, nulls }] (optional)
+ * @returns {Array} - Normalized sort keys, never empty
+ */
+function normalizeSort(sort) {
+    if (!sort || sort.length === 0) {
+        return DEFAULT_SORT;
+    }
+    return sort.map(({ field, direction, nulls }) => {
+        const normalizedDirection = direction ? String(direction).toUpperCase() : 'ASC';
+        const normalizedNulls = nulls ? String(nulls).toUpperCase() : 'LAST';
+        if (!['ASC', 'DESC'].includes(normalizedDirection)) {
+            throw new RangeError(`Unknown sort direction: ${direction}`);
+        }
+        if (!['FIRST', 'LAST'].includes(normalizedNulls)) {
+            throw new RangeError(`Unknown null placement: ${nulls}`);
+        }
+        return { field: parseSortField(field), direction: normalizedDirection, nulls: normalizedNulls };
+    });
+}
+
+/**
+ * Build a comparator ordering features by several sort keys, then by ID so the order is total.
+ * Missing values go first or last as requested, regardless of the direction.
+ * @param {Array} sort - Normalized sort keys
+ * @param {Object} options - locale used to collate text (optional)
+ * @returns {Function} - (a, b) => Number
+ */
+function featureComparator(sort = DEFAULT_SORT, { locale } = {}) {
+    const collator = getCollator(locale);
+    const keys = sort.map(({ field, direction, nulls }) => ({
+        property: SORT_FIELDS[field],
+        direction: direction === 'DESC' ? -1 : 1,
+        nullsFirst: nulls === 'FIRST'
+    }));
+
+    return (a, b) => {
+        for (const { property, direction, nullsFirst } of keys) {
+            const aValue = a[property];
+            const bValue = b[property];
+            const aMissing = isMissing(aValue);
+            const bMissing = isMissing(bValue);
+
+            let result;
+            if (aMissing || bMissing) {
+                result = aMissing === bMissing ? 0 : (aMissing === nullsFirst ? -1 : 1);
+            } else {
+                result = direction * compareValues(aValue, bValue, property, collator);
+            }
+            if (result !== 0) return result;
+        }
+        return compareValues(a.id, b.id, 'id', collator);
+    };
+}
+
+module.exports = {
+    SORT_FIELDS,
+    DEFAULT_SORT,
+    compareValues,
+    parseSortField,
+    normalizeSort,
+    featureComparator
+};
@@ -0,0 +1,103 @@
+// src/utils/sparqlBuilder.js
+//
+// Every value that ends up in a SPARQL query goes through one of these helpers, so an
+// argument can never change the structure of the query. Query builders must not
+// interpolate IDs, strings or numbers that come from outside the code directly.
+
+const ENTITY_ID = /^Q\d+$/;
+const VARIABLE = /^\?[A-Za-z_][A-Za-z0-9_]*$/;
+const LANGUAGE_TAG = /^[a-z]{2,3}(-[a-z0-9]+)*$/i;
+
+/**
+ * Check whether a value is a Wikidata item ID (e.g. "Q12345")
+ * @param {*} id
+ * @returns {Boolean}
+ */
+function isEntityId(id) {
+    return typeof id === 'string' && ENTITY_ID.test(id);
+}
+
+/**
+ * A Wikidata item, e.g. wd:Q219
+ * @param {String} id - Wikidata item ID
+ * @returns {String}
+ */
+function entity(id) {
+    if (!isEntityId(id)) {
+        throw new RangeError(`Invalid Wikidata ID: ${JSON.stringify(id)}`);
+    }
+    return `wd:${id}`;
+}
+
+/**
+ * A VALUES block binding a variable to Wikidata items
+ * @param {String} variable - Variable name including the "?" (e.g. "?item")
+ * @param {Array} ids - Wikidata item IDs
+ * @returns {String}
+ */
+function values(variable, ids) {
+    if (!VARIABLE.test(variable)) {
+        throw new RangeError(`Invalid SPARQL variable: ${variable}`);
+    }
+    return `VALUES ${variable} { ${ids.map(entity).join(' ')} }`;
+}
+
+/**
+ * A string literal with quotes, backslashes and line breaks escaped
+ * @param {String} value
+ * @param {String} language - Language tag (optional)
+ * @returns {String}
+ */
+function literal(value, language) {
+    const escaped = String(value).replace(/[\\"\n\r\t]/g, (char) => ({
+        '\\': '\\\\',
+        '"': '\\"',
+        '\n': '\\n',
+        '\r': '\\r',
+        '\t': '\\t'
+    })[char]);
+
+    if (language === undefined) {
+        return `"${escaped}"`;
+    }
+    if (!LANGUAGE_TAG.test(language)) {
+        throw new RangeError(`Invalid language tag: ${language}`);
+    }
+    return `"${escaped}"@${language}`;
+}
+
+/**
+ * A numeric literal
+ * @param {Number} value
+ * @param {String} name - Argument name, for the error message
+ * @returns {String}
+ */
+function number(value, name = 'value') {
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+        throw new RangeError(`${name} must be a finite number`);
+    }
+    return String(value);
+}
+
+/**
+ * An integer literal within bounds, e.g. for LIMIT and OFFSET
+ * @param {Number} value
+ * @param {String} name - Argument name, for the error message
+ * @param {Object} bounds - min (default 0), max (optional)
+ * @returns {String}
+ */
+function integer(value, name = 'value', { min = 0, max = Infinity } = {}) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new RangeError(`${name} must be an integer between ${min} and ${max}`);
+    }
+    return String(value);
+}
+
+module.exports = {
+    isEntityId,
+    entity,
+    values,
+    literal,
+    number,
+    integer
+};
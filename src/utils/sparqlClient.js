@@ -1,102 +1,687 @@
 // src/utils/sparqlClient.js
+const EventEmitter = require('events');
 const fetch = require('node-fetch');
 const cacheManager = require('../cache/cacheManager');
+const { parseLanguages, languageKey } = require('./language');
+const { QUANTITY_FIELDS, quantityField, parseQuantity } = require('./units');
+const sparql = require('./sparqlBuilder');
+const logger = require('./logger');
+const osmService = require('../services/osmService');
+const { sparqlRequestDuration } = require('./metrics');
+const { sleep, parseRetryAfter, backoffDelay, ConcurrencyLimiter, CircuitBreaker } = require('./resilience');
+const {
+    UpstreamError,
+    UpstreamTimeoutError,
+    UpstreamRateLimitedError,
+    UpstreamUnavailableError
+} = require('./errors');
 
-class SparqlClient {
+/**
+ * Emits 'datasetRefreshed' ({ type, languages, previous, dataset }) whenever a type dataset
+ * has been rebuilt from Wikidata; previous is null for the first load.
+ */
+class SparqlClient extends EventEmitter {
     constructor() {
+        super();
         this.endpoint = process.env.WIKIDATA_ENDPOINT || 'https://query.wikidata.org/sparql';
         this.waterFeatureTypes = ['LAKE', 'DAM', 'RESERVOIR', 'RIVER'];
+        // Rows per request; type datasets are read in as many pages as they need
         this.queryLimit = 500;
+
+        // Resilience settings for the SPARQL endpoint
+        this.timeout = parseInt(process.env.SPARQL_TIMEOUT, 10) || 30000;
+        this.maxRetries = parseInt(process.env.SPARQL_MAX_RETRIES, 10) >= 0 ? parseInt(process.env.SPARQL_MAX_RETRIES, 10) : 3;
+        this.retryBaseDelay = parseInt(process.env.SPARQL_RETRY_BASE_DELAY, 10) || 500;
+        this.retryMaxDelay = parseInt(process.env.SPARQL_RETRY_MAX_DELAY, 10) || 30000;
+        this.limiter = new ConcurrencyLimiter(parseInt(process.env.SPARQL_MAX_CONCURRENCY, 10) || 3);
+        this.circuitBreaker = new CircuitBreaker({
+            failureThreshold: parseInt(process.env.SPARQL_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+            resetTimeout: parseInt(process.env.SPARQL_CIRCUIT_RESET_TIMEOUT, 10) || 60000
+        });
+        // Language fallback chains to preload, separated by ";" (e.g. "en,bg;bg,en")
+        this.preloadLanguages = (process.env.PRELOAD_LANGUAGES || '')
+            .split(';')
+            .filter(chain => chain.trim())
+            .map(chain => parseLanguages(chain));
+        if (this.preloadLanguages.length === 0) {
+            this.preloadLanguages = [parseLanguages()];
+        }
+
+        // Type datasets are refreshed after DATASET_MAX_AGE but kept for DATASET_RETENTION,
+        // so the last good copy can still be served while Wikidata is unavailable
+        this.datasetMaxAge = parseInt(process.env.DATASET_MAX_AGE, 10) || 12 * 60 * 60 * 1000; // 12 hours
+        this.datasetRetention = parseInt(process.env.DATASET_RETENTION, 10) || 7 * 24 * 60 * 60 * 1000; // 7 days
+        // Datasets of the preloaded language chains stay known for good; those of chains
+        // requested by clients are forgotten once their cache entry is gone, or beyond
+        // DATASET_CLIENT_LIMIT, least recently used first
+        this.knownDatasets = new Map();
+        this.clientDatasetLimit = parseInt(process.env.DATASET_CLIENT_LIMIT, 10) || 40;
+        this.datasetRefreshes = new Map();
+        this.datasetErrors = new Map();
+        // ID lookup tables of the type datasets, rebuilt whenever a dataset is refreshed
+        this.featureIndexes = new Map();
+        // Identical SPARQL requests currently on their way to the endpoint
+        this.inFlightQueries = new Map();
+        // Maximum number of IDs per VALUES query
+        this.batchSize = 100;
+
+        // DATA_SOURCE=snapshot:<path> serves a snapshot file and never contacts the endpoint
+        const dataSource = process.env.DATA_SOURCE || 'wikidata';
+        if (dataSource.startsWith('snapshot:')) {
+            this.snapshotPath = dataSource.slice('snapshot:'.length);
+        } else if (dataSource === 'wikidata') {
+            this.snapshotPath = null;
+        } else {
+            throw new Error(`Unknown DATA_SOURCE: ${dataSource}`);
+        }
+        this.offline = this.snapshotPath !== null;
+    }
+
+    /**
+     * Cache key of the full dataset of a type in a language fallback chain
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     * @returns {String}
+     */
+    typeCacheKey(type, languages = parseLanguages()) {
+        return `ALL_${type}:${languageKey(languages)}`;
     }
 
     /**
-     * Execute a SPARQL query with caching
+     * Execute a SPARQL query with caching.
+     * If the endpoint fails, an expired cached result is returned when one is still available.
      * @param {String} sparqlQuery - SPARQL query string
+     * @param {Object} options - useCache: false skips the cache lookup (the result is still cached);
+     *                           allowStale: false disables the stale fallback;
+     *                           priority: 'low' for background work that should yield to user requests
      * @returns {Object} - Query results
      */
-    async query(sparqlQuery) {
+    async query(sparqlQuery, { useCache = true, allowStale = true, priority = 'high' } = {}) {
+        // Whatever the snapshot doesn't contain doesn't exist
+        if (this.offline) {
+            logger.debug('Query not covered by the snapshot, answering with no results');
+            return { head: { vars: [] }, results: { bindings: [] } };
+        }
+
         // Check if query result is in cache
-        const cachedResult = cacheManager.getCachedQuery(sparqlQuery);
+        const cachedResult = useCache ? await cacheManager.getCachedQuery(sparqlQuery) : null;
         if (cachedResult) {
-            console.log('Cache hit for query');
+            logger.debug('SPARQL query cache hit');
             return cachedResult;
         }
 
-        console.log('Cache miss, executing SPARQL query');
+        // Share the request with any identical query already in flight
+        if (this.inFlightQueries.has(sparqlQuery)) {
+            logger.debug('Joining in-flight SPARQL query');
+            return this.inFlightQueries.get(sparqlQuery);
+        }
+
+        logger.debug('SPARQL query cache miss, executing query');
+
+        const request = this.executeQuery(sparqlQuery, { allowStale, priority });
+        this.inFlightQueries.set(sparqlQuery, request);
+        try {
+            return await request;
+        } finally {
+            this.inFlightQueries.delete(sparqlQuery);
+        }
+    }
+
+    /**
+     * Execute a query against the endpoint and cache the result
+     * @param {String} sparqlQuery - SPARQL query string
+     * @param {Object} options - allowStale, priority (see query)
+     * @returns {Object} - Query results
+     */
+    async executeQuery(sparqlQuery, { allowStale, priority }) {
+        let result;
+        try {
+            result = await this.executeWithRetries(sparqlQuery, priority);
+        } catch (error) {
+            if (allowStale && error instanceof UpstreamError) {
+                const staleResult = await cacheManager.getStaleQuery(sparqlQuery);
+                if (staleResult) {
+                    logger.warn('SPARQL endpoint failed, serving stale cached result', { code: error.extensions.code });
+                    return staleResult;
+                }
+            }
+            throw error;
+        }
         
+        // Cache the result
+        await cacheManager.cacheQuery(sparqlQuery, result);
+        
+        return result;
+    }
+
+    /**
+     * Send a query through the circuit breaker and concurrency limiter, retrying
+     * transient failures with exponential backoff (or the endpoint's Retry-After)
+     * @param {String} sparqlQuery - SPARQL query string
+     * @param {String} priority - 'high' or 'low'
+     * @returns {Object} - Query results
+     */
+    async executeWithRetries(sparqlQuery, priority) {
+        if (!this.circuitBreaker.canRequest()) {
+            throw new UpstreamUnavailableError('Wikidata is currently unavailable (circuit open)', {
+                retryAfter: this.circuitBreaker.remainingOpenTime()
+            });
+        }
+
+        for (let attempt = 0; ; attempt++) {
+            try {
+                const result = await this.limiter.run(() => this.executeRequest(sparqlQuery), priority);
+                this.circuitBreaker.recordSuccess();
+                return result;
+            } catch (error) {
+                // Only transient failures count against the endpoint's health; a malformed
+                // or too expensive query would fail the same way on a healthy endpoint
+                if (!(error instanceof UpstreamError) || !error.retryable) {
+                    this.circuitBreaker.releaseTrial();
+                    throw error;
+                }
+                this.circuitBreaker.recordFailure();
+
+                const delay = error.retryAfter !== null
+                    ? error.retryAfter
+                    : backoffDelay(attempt, this.retryBaseDelay, this.retryMaxDelay);
+
+                if (attempt >= this.maxRetries || delay > this.retryMaxDelay || !this.circuitBreaker.canRequest()) {
+                    throw error;
+                }
+
+                logger.warn('SPARQL request failed, retrying', { code: error.extensions.code, attempt: attempt + 1, delayMs: delay });
+                await sleep(delay);
+            }
+        }
+    }
+
+    /**
+     * Send a single request to the SPARQL endpoint
+     * @param {String} sparqlQuery - SPARQL query string
+     * @returns {Object} - Query results
+     */
+    async executeRequest(sparqlQuery) {
         const url = new URL(this.endpoint);
         url.searchParams.append('query', sparqlQuery);
         url.searchParams.append('format', 'json');
 
-        const response = await fetch(url.toString(), {
-            headers: {
-                'Accept': 'application/sparql-results+json',
-                'User-Agent': 'BulgariaWaterFeaturesAPI/1.0'
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+        const endTimer = sparqlRequestDuration.startTimer();
+        // HTTP status code of the response, or why there was none
+        let status = 'network_error';
+
+        try {
+            let response;
+            try {
+                response = await fetch(url.toString(), {
+                    headers: {
+                        'Accept': 'application/sparql-results+json',
+                        'User-Agent': 'BulgariaWaterFeaturesAPI/1.0'
+                    },
+                    signal: controller.signal
+                });
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    status = 'timeout';
+                    throw new UpstreamTimeoutError(`Wikidata did not respond within ${this.timeout}ms`, { retryable: true });
+                }
+                throw new UpstreamUnavailableError(`Could not reach Wikidata: ${error.message}`);
             }
-        });
+            status = String(response.status);
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`SPARQL query failed: ${error}`);
+            if (!response.ok) {
+                const body = await response.text();
+                const retryAfter = parseRetryAfter(response.headers.get('retry-after'));
+                const options = { status: response.status, retryAfter };
+
+                if (response.status === 429) {
+                    throw new UpstreamRateLimitedError(undefined, options);
+                }
+                // The query service reports queries that exceed its own time limit as 500s
+                if (body.includes('TimeoutException')) {
+                    throw new UpstreamTimeoutError('The SPARQL query exceeded the Wikidata time limit', options);
+                }
+                if (response.status >= 500) {
+                    throw new UpstreamUnavailableError(`Wikidata responded with ${response.status}`, options);
+                }
+                throw new UpstreamError(`SPARQL query failed: ${body}`, 'UPSTREAM_ERROR', options);
+            }
+
+            try {
+                return await response.json();
+            } catch (error) {
+                if (error.name === 'AbortError') {
+                    status = 'timeout';
+                    throw new UpstreamTimeoutError(`Wikidata did not respond within ${this.timeout}ms`, { retryable: true });
+                }
+                throw new UpstreamUnavailableError(`Invalid response from Wikidata: ${error.message}`);
+            }
+        } finally {
+            clearTimeout(timer);
+            const seconds = endTimer({ status });
+            logger.debug('SPARQL request finished', { status, durationMs: Math.round(seconds * 1000) });
         }
+    }
 
-        const result = await response.json();
+    /**
+     * Preload all water features by type into cache.
+     * Datasets that are still fresh in the cache (e.g. a persistent backend) are kept.
+     */
+    async preloadCache() {
+        logger.info('Preloading water feature data into cache');
         
-        // Cache the result
-        cacheManager.cacheQuery(sparqlQuery, result);
+        for (const languages of this.preloadLanguages) {
+            for (const type of this.waterFeatureTypes) {
+                logger.info('Preloading dataset', { type, language: languageKey(languages) });
+                this.trackDataset(type, languages);
+                try {
+                    const dataset = await this.getTypeDataset(type, languages);
+                    if (dataset && !this.isDatasetStale(dataset)) {
+                        logger.info('Using cached dataset', { type, language: languageKey(languages), refreshedAt: new Date(dataset.refreshedAt).toISOString() });
+                        continue;
+                    }
+
+                    const refreshed = await this.refreshFeatureType(type, languages);
+                    logger.info('Cached dataset', { type, language: languageKey(languages), featureCount: refreshed.features.length });
+                } catch (error) {
+                    logger.error('Error preloading dataset', { type, language: languageKey(languages), error });
+                }
+            }
+        }
         
-        return result;
+        logger.info('Preloading complete');
     }
 
     /**
-     * Preload all water features by type into cache
+     * Check whether a language chain is one of the preloaded chains
+     * @param {Array} languages - Language fallback chain
+     * @returns {Boolean}
      */
-    async preloadCache() {
-        console.log('Preloading water feature data into cache...');
-        
-        for (const type of this.waterFeatureTypes) {
-            console.log(`Preloading ${type} data...`);
+    isPreloadChain(languages) {
+        return this.preloadLanguages.some(chain => languageKey(chain) === languageKey(languages));
+    }
+
+    /**
+     * Remember a type dataset so its status can be reported. Datasets of other chains
+     * than the preloaded ones are kept in least recently used order and capped.
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     */
+    trackDataset(type, languages) {
+        const cacheKey = this.typeCacheKey(type, languages);
+        if (this.isPreloadChain(languages)) {
+            if (!this.knownDatasets.has(cacheKey)) {
+                this.knownDatasets.set(cacheKey, { type, languages });
+            }
+            return;
+        }
+
+        // Moved to the end of the map on every use
+        this.knownDatasets.delete(cacheKey);
+        this.knownDatasets.set(cacheKey, { type, languages });
+
+        const clientKeys = [...this.knownDatasets]
+            .filter(([, dataset]) => !this.isPreloadChain(dataset.languages))
+            .map(([key]) => key);
+        for (const key of clientKeys.slice(0, Math.max(0, clientKeys.length - this.clientDatasetLimit))) {
+            this.forgetDataset(key);
+        }
+    }
+
+    /**
+     * Drop what is kept about a dataset besides its cache entry
+     * @param {String} cacheKey - Cache key of the dataset
+     */
+    forgetDataset(cacheKey) {
+        this.knownDatasets.delete(cacheKey);
+        this.datasetErrors.delete(cacheKey);
+        this.featureIndexes.delete(cacheKey);
+    }
+
+    /**
+     * Read a type dataset from the cache, fresh or stale
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     * @returns {Object|null} - { features, refreshedAt } or null if not cached
+     */
+    async getTypeDataset(type, languages = parseLanguages()) {
+        return cacheManager.get(this.typeCacheKey(type, languages));
+    }
+
+    /**
+     * Get an ID -> feature lookup table for a cached type dataset
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     * @returns {Map|null} - Features by ID, or null if the dataset isn't cached
+     */
+    async getFeatureIndex(type, languages = parseLanguages()) {
+        const dataset = await this.getTypeDataset(type, languages);
+        if (!dataset) {
+            return null;
+        }
+
+        const cacheKey = this.typeCacheKey(type, languages);
+        const index = this.featureIndexes.get(cacheKey);
+        if (index && index.refreshedAt === dataset.refreshedAt) {
+            return index.byId;
+        }
+
+        const byId = new Map(dataset.features.map(feature => [feature.id, feature]));
+        this.featureIndexes.set(cacheKey, { refreshedAt: dataset.refreshedAt, byId });
+        return byId;
+    }
+
+    /**
+     * Check whether a dataset is older than DATASET_MAX_AGE
+     * @param {Object} dataset - { features, refreshedAt }
+     * @returns {Boolean}
+     */
+    isDatasetStale(dataset, now = Date.now()) {
+        // Snapshot datasets are never refreshed
+        if (this.offline) return false;
+        return now - dataset.refreshedAt > this.datasetMaxAge;
+    }
+
+    /**
+     * Rebuild a type dataset from Wikidata and replace the cached copy.
+     * Concurrent refreshes of the same dataset share one request; on failure the
+     * cached copy is left untouched.
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain (optional)
+     * @returns {Object} - The new { features, refreshedAt }
+     */
+    async refreshFeatureType(type, languages = parseLanguages()) {
+        if (!this.waterFeatureTypes.includes(type)) {
+            throw new Error(`Invalid water feature type: ${type}`);
+        }
+
+        // A snapshot can't be refreshed; datasets it doesn't contain are empty
+        if (this.offline) {
+            const dataset = await this.getTypeDataset(type, languages);
+            return dataset || { features: [], refreshedAt: Date.now() };
+        }
+
+        const cacheKey = this.typeCacheKey(type, languages);
+        this.trackDataset(type, languages);
+
+        if (this.datasetRefreshes.has(cacheKey)) {
+            return this.datasetRefreshes.get(cacheKey);
+        }
+
+        const refresh = (async () => {
             try {
-                const query = this.buildWaterFeaturesQuery({ type, limit: this.queryLimit });
-                const results = await this.query(query);
-                
-                // Cache the transformed results by type
-                const transformedResults = this.transformResults(results);
-                cacheManager.set(`ALL_${type}`, transformedResults, 12 * 60 * 60 * 1000); // 12 hour TTL
-                
-                console.log(`Cached ${transformedResults.length} ${type} features`);
+                const previous = await cacheManager.getStale(cacheKey);
+                const dataset = {
+                    features: await this.queryTypeFeatures(type, languages),
+                    refreshedAt: Date.now()
+                };
+
+                // Every type query reads the preloaded datasets, so they are never evicted. Other
+                // language chains are requested by clients and could pin any number of datasets.
+                const pinned = this.isPreloadChain(languages);
+                await cacheManager.set(cacheKey, dataset, this.datasetRetention, { pinned });
+                this.datasetErrors.delete(cacheKey);
+                this.emit('datasetRefreshed', { type, languages, previous, dataset });
+                return dataset;
             } catch (error) {
-                console.error(`Error preloading ${type} data:`, error);
+                this.datasetErrors.set(cacheKey, { message: error.message, failedAt: Date.now() });
+                throw error;
+            } finally {
+                this.datasetRefreshes.delete(cacheKey);
+            }
+        })();
+
+        this.datasetRefreshes.set(cacheKey, refresh);
+        return refresh;
+    }
+
+    /**
+     * Read every water feature of a type from Wikidata, queryLimit rows at a time, so a
+     * dataset is complete however many features the type has
+     * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array} - Water features
+     */
+    async queryTypeFeatures(type, languages) {
+        const features = new Map();
+
+        for (let offset = 0; ; offset += this.queryLimit) {
+            const query = this.buildWaterFeaturesQuery({ type, limit: this.queryLimit, offset, languages });
+            const results = await this.query(query, { useCache: false, allowStale: false, priority: 'low' });
+            const page = this.transformResults(results);
+            const sizeBefore = features.size;
+            for (const feature of page) {
+                features.set(feature.id, feature);
+            }
+
+            // A short page is the last one; a page without new features means the
+            // endpoint ignores OFFSET and the next pages would repeat it
+            if (page.length < this.queryLimit || features.size === sizeBefore) {
+                return [...features.values()];
             }
         }
-        
-        console.log('Preloading complete!');
     }
 
     /**
-     * Get all water features of a specific type from cache or query
+     * Get all water features of a specific type from cache or query.
+     * A stale dataset is returned immediately and refreshed in the background.
      * @param {String} type - Water feature type
+     * @param {Array} languages - Language fallback chain (optional)
      * @returns {Array} - Water features
      */
-    async getAllFeaturesOfType(type) {
+    async getAllFeaturesOfType(type, languages = parseLanguages()) {
         if (!this.waterFeatureTypes.includes(type)) {
             throw new Error(`Invalid water feature type: ${type}`);
         }
         
-        const cacheKey = `ALL_${type}`;
-        let features = cacheManager.get(cacheKey);
+        this.trackDataset(type, languages);
+        let dataset = await this.getTypeDataset(type, languages);
         
-        if (!features) {
-            console.log(`Cache miss for ${type}, querying Wikidata...`);
-            const query = this.buildWaterFeaturesQuery({ type, limit: this.queryLimit });
-            const results = await this.query(query);
-            features = this.transformResults(results);
-            
-            // Cache the results
-            cacheManager.set(cacheKey, features, 12 * 60 * 60 * 1000); // 12 hour TTL
+        if (!dataset) {
+            logger.info('Dataset not cached, querying Wikidata', { type, language: languageKey(languages) });
+            dataset = await this.refreshFeatureType(type, languages);
+        } else if (this.isDatasetStale(dataset)) {
+            logger.info('Serving stale dataset, refreshing in background', { type, language: languageKey(languages) });
+            this.refreshFeatureType(type, languages).catch((error) => {
+                logger.error('Error refreshing dataset', { type, language: languageKey(languages), error });
+            });
         }
         
-        return features;
+        return dataset.features;
+    }
+
+    /**
+     * Describe every known type dataset: those of the preloaded chains and the ones
+     * of other chains that are still cached
+     * @returns {Array} - [{ type, languages, featureCount, lastRefreshedAt, isStale, isRefreshing, lastError }]
+     */
+    async getDatasetStatus() {
+        const statuses = [];
+        const now = Date.now();
+
+        for (const [cacheKey, { type, languages }] of [...this.knownDatasets]) {
+            // Reporting isn't a lookup, so it doesn't count towards the cache hit ratio
+            const dataset = await cacheManager.peek(cacheKey);
+            // A client chain whose dataset was evicted or expired is no longer known
+            if (!dataset && !this.datasetRefreshes.has(cacheKey) && !this.isPreloadChain(languages)) {
+                this.forgetDataset(cacheKey);
+                continue;
+            }
+            const error = this.datasetErrors.get(cacheKey);
+            statuses.push({
+                type,
+                languages,
+                featureCount: dataset ? dataset.features.length : 0,
+                lastRefreshedAt: dataset ? dataset.refreshedAt : null,
+                isStale: dataset ? this.isDatasetStale(dataset, now) : true,
+                isRefreshing: this.datasetRefreshes.has(cacheKey),
+                lastError: error ? error.message : null,
+                lastErrorAt: error ? error.failedAt : null
+            });
+        }
+
+        return statuses;
+    }
+
+    /**
+     * Get the water features of several types, without duplicates, together with the
+     * OpenStreetMap objects of those types that aren't linked to a Wikidata feature
+     * @param {Array} types - Water feature types (defaults to all types)
+     * @param {Array} languages - Language fallback chain (optional)
+     * @param {Object} options - withOsm: false for the Wikidata features only
+     * @returns {Array} - Water features
+     */
+    async getAllFeatures(types = this.waterFeatureTypes, languages = parseLanguages(), { withOsm = true } = {}) {
+        const seen = new Set();
+        const features = [];
+
+        for (const type of types) {
+            const typeFeatures = await this.getAllFeaturesOfType(type, languages);
+            for (const feature of typeFeatures) {
+                // A feature can be an instance of several types (e.g. a reservoir that is also a lake)
+                if (!seen.has(feature.id)) {
+                    seen.add(feature.id);
+                    features.push(feature);
+                }
+            }
+        }
+
+        if (!withOsm || !(await osmService.hasObjects())) {
+            return features;
+        }
+        const { objects } = await osmService.getIndex();
+        const taggedIds = objects
+            .filter(object => types.includes(object.type) && object.wikidataId)
+            .map(object => object.wikidataId);
+        const isWikidataFeature = await this.getWikidataFeatureCheck(taggedIds, languages);
+        return osmService.mergeFeatures(features, { types, languages, isWikidataFeature });
+    }
+
+    /**
+     * Tell whether the Wikidata IDs OpenStreetMap objects are tagged with are water features
+     * of a language chain, which decides whether the objects are linked or features of their
+     * own. The cached type datasets answer first; tags they don't contain are looked up by ID
+     * instead of loading the datasets no query has needed yet.
+     * @param {Array} taggedIds - Wikidata IDs of the objects in question
+     * @param {Array} languages - Language fallback chain
+     * @returns {Function} - Wikidata ID -> Boolean
+     */
+    async getWikidataFeatureCheck(taggedIds, languages) {
+        const indexes = [];
+        for (const type of this.waterFeatureTypes) {
+            const index = await this.getFeatureIndex(type, languages);
+            if (index) indexes.push(index);
+        }
+        const inDatasets = id => indexes.some(index => index.has(id));
+        if (indexes.length === this.waterFeatureTypes.length) {
+            return inDatasets;
+        }
+
+        const unknown = [...new Set(taggedIds)].filter(id => !inDatasets(id));
+        const found = await this.getWikidataFeaturesByIds(unknown, languages);
+        const resolved = new Set(unknown.filter((id, i) => found[i]));
+        return id => inDatasets(id) || resolved.has(id);
+    }
+
+    /**
+     * Build SPARQL patterns that bind a label in the first available language of a fallback chain
+     * @param {String} subject - Subject variable (e.g. "?item")
+     * @param {String} predicate - Label predicate (e.g. "rdfs:label")
+     * @param {String} target - Variable to bind the chosen label to (e.g. "?itemLabel")
+     * @param {Array} languages - Language fallback chain
+     * @returns {String} - SPARQL patterns
+     */
+    buildLabelPatterns(subject, predicate, target, languages) {
+        const candidates = languages.map((_, index) => `${target}_${index}`);
+        const optionals = languages.map((language, index) =>
+            `OPTIONAL { ${subject} ${predicate} ${candidates[index]}. FILTER(LANG(${candidates[index]}) = ${sparql.literal(language)}) }`
+        );
+
+        return `
+                ${optionals.join('\n                ')}
+                BIND(COALESCE(${candidates.join(', ')}) AS ${target})
+        `;
+    }
+
+    /**
+     * Build SPARQL patterns that read a quantity statement with its unit.
+     * The amount, unit, Wikidata's SI-normalized amount and the unit label are packed into
+     * one string prefixed with the rank, so MAX() picks a preferred statement and keeps its parts together.
+     * @param {String} subject - Subject variable (e.g. "?item")
+     * @param {String} field - capacity, surfaceArea, length, width, height or installedCapacity
+     * @param {Array} languages - Language fallback chain for the unit label
+     * @returns {String} - SPARQL patterns binding ?<field>Quantity and ?<field>Normalized
+     */
+    buildQuantityPatterns(subject, field, languages) {
+        const { property } = quantityField(field);
+        const variable = `?${field}`;
+
+        return `
+                OPTIONAL {
+                    ${subject} p:${property} ${variable}Statement.
+                    ${variable}Statement wikibase:rank ${variable}Rank.
+                    FILTER(${variable}Rank != wikibase:DeprecatedRank)
+                    ${variable}Statement psv:${property} ${variable}Value.
+                    ${variable}Value wikibase:quantityAmount ${variable}Amount;
+                        wikibase:quantityUnit ${variable}Unit.
+                    OPTIONAL { ${variable}Statement psn:${property}/wikibase:quantityAmount ${variable}Normalized. }
+                    ${this.buildLabelPatterns(`${variable}Unit`, 'rdfs:label', `${variable}UnitLabel`, languages)}
+                    BIND(CONCAT(
+                        IF(${variable}Rank = wikibase:PreferredRank, "2", "1"), "|",
+                        STR(${variable}Amount), "|", STR(${variable}Unit), "|",
+                        COALESCE(STR(${variable}Normalized), ""), "|", COALESCE(STR(${variable}UnitLabel), "")
+                    ) AS ${variable}Quantity)
+                }
+        `;
+    }
+
+    /**
+     * Select expressions for the quantity fields of a grouped query
+     * @returns {String}
+     */
+    buildQuantitySelect() {
+        return Object.keys(QUANTITY_FIELDS)
+            .map(field => `(MAX(?${field}Quantity) AS ?${field}Quantity)`)
+            .join(' ');
+    }
+
+    /**
+     * Select expression listing the IDs of the administrative regions containing a feature
+     * @returns {String}
+     */
+    buildRegionIdsSelect() {
+        return '(GROUP_CONCAT(DISTINCT STRAFTER(STR(?adminRegion), "entity/"); separator=" ") AS ?regionIds)';
+    }
+
+    /**
+     * Select expressions listing the operators (P137) and purposes (P366) of a feature,
+     * each as "ID|label" entries separated by tabs
+     * @returns {String}
+     */
+    buildDamFilterSelect() {
+        return ['operator', 'purpose']
+            .map(field => `(GROUP_CONCAT(DISTINCT CONCAT(STRAFTER(STR(?${field}), "entity/"), "|", COALESCE(?${field}Label, "")); separator="\t") AS ?${field}s)`)
+            .join(' ');
+    }
+
+    /**
+     * SPARQL patterns binding the operators and purposes of a feature, for the dam filters
+     * @param {Array} languages - Language fallback chain
+     * @returns {String}
+     */
+    buildDamFilterPatterns(languages) {
+        return `
+                OPTIONAL {
+                    ?item wdt:P137 ?operator.
+                    ${this.buildLabelPatterns('?operator', 'rdfs:label', '?operatorLabel', languages)}
+                }
+                OPTIONAL {
+                    ?item wdt:P366 ?purpose.
+                    ${this.buildLabelPatterns('?purpose', 'rdfs:label', '?purposeLabel', languages)}
+                }
+        `;
     }
 
     /**
@@ -112,7 +697,8 @@ class SparqlClient {
         sortBy = 'name',
         sortOrder = 'ASC',
         limit = this.queryLimit,
-        offset = 0
+        offset = 0,
+        languages = parseLanguages()
     }) {
         // Map GraphQL types to Wikidata entity IDs
         const typeMapping = {
@@ -122,34 +708,34 @@ class SparqlClient {
             RIVER: 'Q4022'     // river
         };
 
-        // Map GraphQL sort fields to Wikidata properties
+        // Map GraphQL sort fields to Wikidata properties (quantities in SI units)
         const sortMapping = {
-            name: '?name',
-            surfaceArea: '?surfaceArea',
-            capacity: '?capacity',
-            width: '?width',
-            length: '?length'
+            name: 'MIN(?itemLabel)',
+            surfaceArea: 'MAX(?surfaceAreaNormalized)',
+            capacity: 'MAX(?capacityNormalized)',
+            width: 'MAX(?widthNormalized)',
+            length: 'MAX(?lengthNormalized)'
         };
 
         // Build the type filter
         let typeFilter = '';
-        if (type && this.waterFeatureTypes.includes(type)) {
-            typeFilter = `?item wdt:P31/wdt:P279* wd:${typeMapping[type]}.`;
+        if (type) {
+            if (!this.waterFeatureTypes.includes(type)) {
+                throw new RangeError(`Invalid water feature type: ${type}`);
+            }
+            typeFilter = `?item wdt:P31/wdt:P279* ${sparql.entity(typeMapping[type])}.`;
         } else {
-            const defaultTypes = this.waterFeatureTypes.map(key => `wd:${typeMapping[key]}`).join(' ');
             typeFilter = `
-                VALUES ?typeId {${defaultTypes}}
+                ${sparql.values('?typeId', this.waterFeatureTypes.map(key => typeMapping[key]))}
                 ?item wdt:P31/wdt:P279* ?typeId.
             `;
         }
 
-        // Region filter
+        // Region filter: everything contained in the region (a Wikidata ID)
         let regionFilter = '';
         if (region) {
             regionFilter = `
-                ?item wdt:P131/wdt:P131* ?region.
-                ?region rdfs:label ?regionLabel.
-                FILTER(CONTAINS(LCASE(?regionLabel), LCASE("${region}"))).
+                ?item wdt:P131/wdt:P131* ${sparql.entity(region)}.
             `;
         }
 
@@ -157,8 +743,8 @@ class SparqlClient {
         let capacityFilter = '';
         if (minCapacity) {
             capacityFilter = `
-                ?item wdt:P2234 ?capacity.
-                FILTER(?capacity >= ${minCapacity}).
+                ?item p:P2234/psn:P2234/wikibase:quantityAmount ?minCapacityValue.
+                FILTER(?minCapacityValue >= ${sparql.number(minCapacity, 'minCapacity')}).
             `;
         }
 
@@ -166,24 +752,28 @@ class SparqlClient {
         let surfaceAreaFilter = '';
         if (minSurfaceArea) {
             surfaceAreaFilter = `
-                ?item wdt:P2046 ?surfaceArea.
-                FILTER(?surfaceArea >= ${minSurfaceArea}).
+                ?item p:P2046/psn:P2046/wikibase:quantityAmount ?minSurfaceAreaValue.
+                FILTER(?minSurfaceAreaValue >= ${sparql.number(minSurfaceArea, 'minSurfaceArea')}).
             `;
         }
 
         // Sort field determination
-        const sortField = sortMapping[sortBy] || sortMapping.name;
+        const sortField = sortMapping[sortBy];
+        if (!sortField) {
+            throw new RangeError(`Unsupported sort field: ${sortBy}`);
+        }
         
         const query = `
-            SELECT DISTINCT ?itemLabel (SAMPLE(?item) AS ?item) (SAMPLE(?typeId) AS ?typeId) 
+            SELECT ?item (SAMPLE(?itemLabel) AS ?itemLabel) (SAMPLE(?typeId) AS ?typeId)
                             (SAMPLE(?typeLabel) AS ?typeLabel) (SAMPLE(?coord) AS ?coord) 
-                            (SAMPLE(?locatedInLabel) AS ?locatedInLabel) (SAMPLE(?width) AS ?width) 
-                            (SAMPLE(?length) AS ?length) (SAMPLE(?surfaceArea) AS ?surfaceArea) 
-                            (SAMPLE(?capacity) AS ?capacity) (SAMPLE(?inception) AS ?inception) 
-                            (SAMPLE(?description) AS ?description)
+                            (SAMPLE(?locatedInLabel) AS ?locatedInLabel)
+                            ${this.buildQuantitySelect()}
+                            (SAMPLE(?inception) AS ?inception) ${this.buildRegionIdsSelect()}
+                            (SAMPLE(?description) AS ?description) (SAMPLE(?geoshape) AS ?geoshape)
+                            ${this.buildDamFilterSelect()}
             WHERE {
                 # Bulgaria constraint
-                ?item wdt:P17 wd:Q219. # located in Bulgaria
+                ?item wdt:P17 ${sparql.entity('Q219')}. # located in Bulgaria
                 
                 # Type constraint
                 ${typeFilter}
@@ -193,9 +783,9 @@ class SparqlClient {
                 ?typeId rdfs:label ?typeLabel.
                 FILTER(LANG(?typeLabel) = "en")
                 
-                # Name
-                ?item rdfs:label ?itemLabel.
-                FILTER(LANG(?itemLabel) = "en")
+                # Name in the first available language
+                ${this.buildLabelPatterns('?item', 'rdfs:label', '?itemLabel', languages)}
+                FILTER(BOUND(?itemLabel))
                 
                 # Coordinates
                 OPTIONAL { ?item wdt:P625 ?coord. }
@@ -203,42 +793,48 @@ class SparqlClient {
                 # Location
                 OPTIONAL { 
                     ?item wdt:P131 ?locatedIn. 
-                    ?locatedIn rdfs:label ?locatedInLabel.
-                    FILTER(LANG(?locatedInLabel) = "en")
+                    ${this.buildLabelPatterns('?locatedIn', 'rdfs:label', '?locatedInLabel', languages)}
                 }
 
+                # Every administrative region containing the feature
+                OPTIONAL { ?item wdt:P131/wdt:P131* ?adminRegion. }
+
                 # Vertical depth
                 OPTIONAL { ?item wdt:P4511 ?depth. }
                 
                 # Length
-                OPTIONAL { ?item wdt:P2043 ?length. }
+                ${this.buildQuantityPatterns('?item', 'length', languages)}
 
                 # Width
-                OPTIONAL { ?item wdt:P2049 ?width. }
+                ${this.buildQuantityPatterns('?item', 'width', languages)}
                 
                 # Surface area
-                OPTIONAL { ?item wdt:P2046 ?surfaceArea. }
+                ${this.buildQuantityPatterns('?item', 'surfaceArea', languages)}
                 
                 # Capacity
-                OPTIONAL { ?item wdt:P2234 ?capacity. }
+                ${this.buildQuantityPatterns('?item', 'capacity', languages)}
                 
                 # Inception date
                 OPTIONAL { ?item wdt:P571 ?inception. }
+
+                # Outline or course on Wikimedia Commons
+                OPTIONAL { ?item wdt:P3896 ?geoshape. }
+
+                # Operator and purpose of dams and reservoirs
+                ${this.buildDamFilterPatterns(languages)}
                 
                 # Description
-                OPTIONAL {
-                    ?item schema:description ?description.
-                    FILTER(LANG(?description) = "en")
-                }
+                ${this.buildLabelPatterns('?item', 'schema:description', '?description', languages)}
                 
                 ${regionFilter}
                 ${capacityFilter}
                 ${surfaceAreaFilter}
             }
-            GROUP BY ?itemLabel
-            ORDER BY ${sortOrder === 'DESC' ? 'DESC' : 'ASC'}(${sortField})
-            LIMIT ${limit}
-            OFFSET ${offset}
+            # One row per entity: features sharing a name (e.g. glacial lakes in Rila) stay apart
+            GROUP BY ?item
+            ORDER BY ${sortOrder === 'DESC' ? 'DESC' : 'ASC'}(${sortField}) ?item
+            LIMIT ${sparql.integer(limit, 'limit', { min: 1 })}
+            OFFSET ${sparql.integer(offset, 'offset')}
         `;
 
         return query;
@@ -282,19 +878,41 @@ class SparqlClient {
                 else if (typeLabel.includes('lake')) type = 'LAKE';
             }
 
+            // Operators and purposes packed as "ID|label" entries separated by tabs
+            const entities = packed => (packed && packed.value ? packed.value.split('\t') : [])
+                .map((entry) => {
+                    const [entityId, ...label] = entry.split('|');
+                    return { id: entityId, name: label.join('|') || entityId };
+                });
+
+            // Quantities in SI units, with the statement as recorded on Wikidata
+            const quantities = {};
+            const measurements = {};
+            for (const field of Object.keys(QUANTITY_FIELDS)) {
+                const packed = binding[`${field}Quantity`];
+                const quantity = parseQuantity(packed ? packed.value : null);
+                measurements[field] = quantity ? quantity.value : null;
+                if (quantity) quantities[field] = quantity.original;
+            }
+
             return {
                 id,
                 name: binding.itemLabel ? binding.itemLabel.value : 'Unknown',
                 type,
                 location: latitude && longitude ? { latitude, longitude } : null,
                 locatedIn: binding.locatedInLabel ? binding.locatedInLabel.value : null,
-                width: binding.width ? parseFloat(binding.width.value) : null,
-                length: binding.length ? parseFloat(binding.length.value) : null,
-                surfaceArea: binding.surfaceArea ? parseFloat(binding.surfaceArea.value) : null,
-                capacity: binding.capacity ? parseFloat(binding.capacity.value) : null,
+                regionIds: binding.regionIds && binding.regionIds.value
+                    ? binding.regionIds.value.split(' ')
+                    : [],
+                ...measurements,
                 inceptionDate: binding.inception ? binding.inception.value : null,
                 wikidataUrl: `https://www.wikidata.org/wiki/${id}`,
-                description: binding.description ? binding.description.value : null
+                description: binding.description ? binding.description.value : null,
+                quantities,
+                operators: entities(binding.operators),
+                purposes: entities(binding.purposes),
+                // Commons page title, e.g. "Data:Iskar Reservoir.map"
+                geoshape: binding.geoshape ? decodeURIComponent(binding.geoshape.value.split('/data/main/').pop()) : null
             };
         });
     }
@@ -302,23 +920,38 @@ class SparqlClient {
     /**
      * Build a SPARQL query for a specific water feature by ID
      * @param {String} id - Wikidata entity ID
+     * @param {Array} languages - Language fallback chain (optional)
      * @returns {String} - SPARQL query string
      */
-    buildWaterFeatureByIdQuery(id) {
+    buildWaterFeatureByIdQuery(id, languages = parseLanguages()) {
+        return this.buildWaterFeaturesByIdsQuery([id], languages);
+    }
+
+    /**
+     * Build a SPARQL query for several water features by ID, one result row per feature
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain (optional)
+     * @returns {String} - SPARQL query string
+     */
+    buildWaterFeaturesByIdsQuery(ids, languages = parseLanguages()) {
         return `
-        SELECT ?item ?itemLabel ?typeId ?typeLabel ?coord ?locatedInLabel 
-                ?width ?length ?surfaceArea ?capacity ?inception ?description
+        SELECT ?item (SAMPLE(?itemLabel) AS ?itemLabel) (SAMPLE(?typeId) AS ?typeId)
+                (SAMPLE(?typeLabel) AS ?typeLabel) (SAMPLE(?coord) AS ?coord)
+                (SAMPLE(?locatedInLabel) AS ?locatedInLabel)
+                ${this.buildQuantitySelect()}
+                (SAMPLE(?inception) AS ?inception) ${this.buildRegionIdsSelect()}
+                (SAMPLE(?description) AS ?description) (SAMPLE(?geoshape) AS ?geoshape)
+                ${this.buildDamFilterSelect()}
         WHERE {
-            BIND(wd:${id} AS ?item)
+            ${sparql.values('?item', ids)}
             
             # Get the specific type
             ?item wdt:P31 ?typeId.
             ?typeId rdfs:label ?typeLabel.
             FILTER(LANG(?typeLabel) = "en")
             
-            # Name
-            ?item rdfs:label ?itemLabel.
-            FILTER(LANG(?itemLabel) = "en")
+            # Name in the first available language
+            ${this.buildLabelPatterns('?item', 'rdfs:label', '?itemLabel', languages)}
             
             # Coordinates
             OPTIONAL { ?item wdt:P625 ?coord. }
@@ -326,68 +959,186 @@ class SparqlClient {
             # Location
             OPTIONAL { 
             ?item wdt:P131 ?locatedIn. 
-            ?locatedIn rdfs:label ?locatedInLabel.
-            FILTER(LANG(?locatedInLabel) = "en")
+            ${this.buildLabelPatterns('?locatedIn', 'rdfs:label', '?locatedInLabel', languages)}
             }
+
+            # Every administrative region containing the feature
+            OPTIONAL { ?item wdt:P131/wdt:P131* ?adminRegion. }
             
             # width
-            OPTIONAL { ?item wdt:P2048 ?width. }
+            ${this.buildQuantityPatterns('?item', 'width', languages)}
             
             # Length
-            OPTIONAL { ?item wdt:P2043 ?length. }
+            ${this.buildQuantityPatterns('?item', 'length', languages)}
             
             # Surface area
-            OPTIONAL { ?item wdt:P2046 ?surfaceArea. }
+            ${this.buildQuantityPatterns('?item', 'surfaceArea', languages)}
             
             # Capacity
-            OPTIONAL { ?item wdt:P2234 ?capacity. }
+            ${this.buildQuantityPatterns('?item', 'capacity', languages)}
             
             # Inception date
             OPTIONAL { ?item wdt:P571 ?inception. }
+
+            # Outline or course on Wikimedia Commons
+            OPTIONAL { ?item wdt:P3896 ?geoshape. }
+
+            # Operator and purpose of dams and reservoirs
+            ${this.buildDamFilterPatterns(languages)}
             
             # Description
-            OPTIONAL {
-            ?item schema:description ?description.
-            FILTER(LANG(?description) = "en")
-            }
+            ${this.buildLabelPatterns('?item', 'schema:description', '?description', languages)}
         }
-        LIMIT 1
+        GROUP BY ?item
         `;
     }
 
     /**
      * Try to find a water feature by ID in the cache before querying
      * @param {String} id - Wikidata entity ID
+     * @param {Array} languages - Language fallback chain (optional)
      * @returns {Object|null} - Water feature or null if not found
      */
-    async getWaterFeatureById(id) {
-        // Check if we have this ID in any of our type caches
+    async getWaterFeatureById(id, languages = parseLanguages()) {
+        const [feature] = await this.getWaterFeaturesByIds([id], languages);
+        return feature;
+    }
+
+    /**
+     * Find water features by ID: first in the type datasets and the feature cache,
+     * then all remaining IDs in as few VALUES queries as possible. OpenStreetMap IDs
+     * (osm:way/123) resolve to imported objects.
+     * @param {Array} ids - Wikidata entity IDs or OpenStreetMap feature IDs
+     * @param {Array} languages - Language fallback chain (optional)
+     * @returns {Array} - Water features (or null) in the same order as ids
+     */
+    async getWaterFeaturesByIds(ids, languages = parseLanguages()) {
+        const features = await this.getWikidataFeaturesByIds(ids, languages);
+        if (!(await osmService.hasObjects())) {
+            return features;
+        }
+        const { byFeatureId } = await osmService.getIndex();
+        const taggedIds = ids
+            .map(id => byFeatureId.get(id))
+            .filter(object => object && object.wikidataId)
+            .map(object => object.wikidataId);
+        const isWikidataFeature = await this.getWikidataFeatureCheck(taggedIds, languages);
+        return osmService.resolveByIds(ids, features, { languages, isWikidataFeature });
+    }
+
+    /**
+     * Find Wikidata water features by ID, without the OpenStreetMap objects
+     * @param {Array} ids - Wikidata entity IDs
+     * @param {Array} languages - Language fallback chain
+     * @returns {Array} - Water features (or null) in the same order as ids
+     */
+    async getWikidataFeaturesByIds(ids, languages) {
+        const found = new Map();
+
+        // Check if we have these IDs in any of our type caches
         for (const type of this.waterFeatureTypes) {
-            const features = cacheManager.get(`ALL_${type}`);
-            if (features) {
-                const feature = features.find(f => f.id === id);
-                if (feature) {
-                    console.log(`Found feature ${id} in ${type} cache`);
-                    return feature;
+            const index = await this.getFeatureIndex(type, languages);
+            if (!index) continue;
+            for (const id of ids) {
+                if (!found.has(id) && index.has(id)) {
+                    found.set(id, index.get(id));
                 }
             }
         }
-        
+
+        const misses = [];
+        for (const id of new Set(ids)) {
+            if (found.has(id)) continue;
+            const cachedFeature = await cacheManager.get(this.featureCacheKey(id, languages));
+            if (cachedFeature) {
+                found.set(id, cachedFeature);
+            } else if (sparql.isEntityId(id)) {
+                misses.push(id);
+            }
+        }
+
         // If not found in cache, query Wikidata
-        console.log(`Feature ${id} not found in cache, querying Wikidata`);
-        const sparqlQuery = this.buildWaterFeatureByIdQuery(id);
-        const results = await this.query(sparqlQuery);
-        const transformedResults = this.transformResults(results);
-        
-        // If found, add to cache for future lookups
-        if (transformedResults.length > 0) {
-            const feature = transformedResults[0];
-            const cacheKey = `FEATURE_${id}`;
-            cacheManager.set(cacheKey, feature);
-            return feature;
+        for (let i = 0; i < misses.length; i += this.batchSize) {
+            const batch = misses.slice(i, i + this.batchSize);
+            logger.info('Features not cached, querying Wikidata', { count: batch.length });
+            const results = await this.query(this.buildWaterFeaturesByIdsQuery(batch, languages));
+
+            // Add to cache for future lookups
+            for (const feature of this.transformResults(results)) {
+                found.set(feature.id, feature);
+                await cacheManager.set(this.featureCacheKey(feature.id, languages), feature);
+            }
         }
-        
-        return null;
+
+        return ids.map(id => found.get(id) || null);
+    }
+
+    /**
+     * Cache key of a single feature fetched by ID
+     * @param {String} id - Wikidata entity ID
+     * @param {Array} languages - Language fallback chain
+     * @returns {String}
+     */
+    featureCacheKey(id, languages) {
+        return `FEATURE_${id}:${languageKey(languages)}`;
+    }
+
+    /**
+     * Get every available label (name translation) of an entity
+     * @param {String} id - Wikidata entity ID
+     * @returns {Array} - [{ language, value }] sorted by language code
+     */
+    async getLabels(id) {
+        const [labels] = await this.getLabelsByIds([id]);
+        return labels;
+    }
+
+    /**
+     * Get the labels of several entities, querying the uncached ones in batches
+     * @param {Array} ids - Wikidata entity IDs
+     * @returns {Array} - Labels per ID, in the same order as ids
+     */
+    async getLabelsByIds(ids) {
+        const found = new Map();
+        const misses = [];
+
+        for (const id of new Set(ids)) {
+            const cachedLabels = await cacheManager.get(this.labelsCacheKey(id));
+            if (cachedLabels) {
+                found.set(id, cachedLabels);
+            } else {
+                misses.push(id);
+            }
+        }
+
+        for (let i = 0; i < misses.length; i += this.batchSize) {
+            const batch = misses.slice(i, i + this.batchSize);
+            const sparqlQuery = `
+            SELECT ?item ?label
+            WHERE {
+                ${sparql.values('?item', batch)}
+                ?item rdfs:label ?label.
+            }
+            `;
+            const results = await this.query(sparqlQuery);
+            const labels = new Map(batch.map(id => [id, []]));
+
+            for (const binding of (results.results && results.results.bindings) || []) {
+                const id = binding.item.value.split('/').pop();
+                labels.get(id).push({ language: binding.label['xml:lang'], value: binding.label.value });
+            }
+
+            for (const [id, entityLabels] of labels) {
+                entityLabels.sort((a, b) => a.language.localeCompare(b.language));
+                found.set(id, await cacheManager.set(this.labelsCacheKey(id), entityLabels));
+            }
+        }
+
+        return ids.map(id => found.get(id) || []);
+    }
+
+    labelsCacheKey(id) {
+        return `LABELS_${id}`;
     }
 }
 
@@ -0,0 +1,140 @@
+// src/utils/units.js
+
+// Output units per dimension, as the factor to the canonical SI unit (listed first)
+const UNITS = {
+    VOLUME: {
+        CUBIC_METRE: 1,
+        LITRE: 0.001,
+        THOUSAND_CUBIC_METRES: 1e3,
+        MILLION_CUBIC_METRES: 1e6,
+        CUBIC_KILOMETRE: 1e9
+    },
+    AREA: {
+        SQUARE_METRE: 1,
+        HECTARE: 1e4,
+        SQUARE_KILOMETRE: 1e6
+    },
+    LENGTH: {
+        METRE: 1,
+        KILOMETRE: 1e3
+    },
+    POWER: {
+        WATT: 1,
+        KILOWATT: 1e3,
+        MEGAWATT: 1e6
+    }
+};
+
+// Quantity fields of a water feature with their dimension and Wikidata property
+const QUANTITY_FIELDS = {
+    capacity: { dimension: 'VOLUME', property: 'P2234' },
+    surfaceArea: { dimension: 'AREA', property: 'P2046' },
+    length: { dimension: 'LENGTH', property: 'P2043' },
+    width: { dimension: 'LENGTH', property: 'P2049' }
+};
+
+// Quantities only read for dam details: the dam's height and the installed capacity
+// of its power stations. A dam's crest length is its length (P2043).
+const DAM_QUANTITY_FIELDS = {
+    height: { dimension: 'LENGTH', property: 'P2048' },
+    installedCapacity: { dimension: 'POWER', property: 'P2109' }
+};
+
+/**
+ * Dimension and Wikidata property of a quantity field
+ * @param {String} field - A key of QUANTITY_FIELDS or DAM_QUANTITY_FIELDS
+ * @returns {Object} - { dimension, property }
+ */
+function quantityField(field) {
+    return QUANTITY_FIELDS[field] || DAM_QUANTITY_FIELDS[field];
+}
+
+// Wikidata's unit for dimensionless quantities ("1")
+const UNITLESS = 'Q199';
+
+/**
+ * Canonical SI unit of a dimension
+ * @param {String} dimension - VOLUME, AREA, LENGTH or POWER
+ * @returns {String}
+ */
+function canonicalUnit(dimension) {
+    return Object.keys(UNITS[dimension])[0];
+}
+
+/**
+ * Convert a value in the canonical SI unit of a dimension to another unit
+ * @param {Number} value - Value in the canonical unit
+ * @param {String} unit - Target unit
+ * @param {String} dimension - VOLUME, AREA, LENGTH or POWER
+ * @returns {Number}
+ */
+function convertFromCanonical(value, unit, dimension) {
+    const factor = UNITS[dimension][unit];
+    if (!factor) {
+        throw new RangeError(`Unknown ${dimension.toLowerCase()} unit: ${unit}`);
+    }
+    return value / factor;
+}
+
+/**
+ * Parse a quantity packed by the SPARQL query as "rank|amount|unit IRI|normalized amount|unit label".
+ * The normalized amount is Wikidata's own conversion to SI units; it's missing when the
+ * statement has no unit or its unit has no known conversion.
+ * @param {String} packed
+ * @returns {Object|null} - { value, original: { amount, unit, unitId } }
+ */
+function parseQuantity(packed) {
+    if (!packed) return null;
+
+    const [, amount, unitIri, normalized, ...label] = packed.split('|');
+    const unitLabel = label.join('|');
+    const parsedAmount = parseFloat(amount);
+    if (Number.isNaN(parsedAmount)) return null;
+
+    const unitId = unitIri ? unitIri.split('/').pop() : null;
+    const parsedNormalized = parseFloat(normalized);
+
+    return {
+        value: Number.isNaN(parsedNormalized) ? null : parsedNormalized,
+        original: {
+            amount: parsedAmount,
+            unit: unitId && unitId !== UNITLESS ? unitLabel || null : null,
+            unitId: unitId && unitId !== UNITLESS ? unitId : null
+        }
+    };
+}
+
+/**
+ * Build a Quantity for a feature field in the requested unit
+ * @param {Object} feature - Water feature, or dam details and power stations for their fields
+ * @param {String} field - capacity, surfaceArea, length, width, height or installedCapacity
+ * @param {String} unit - Output unit (optional, defaults to the canonical SI unit)
+ * @returns {Object|null} - { value, unit, original }
+ */
+function toQuantity(feature, field, unit) {
+    const { dimension } = quantityField(field);
+    const outputUnit = unit || canonicalUnit(dimension);
+    const value = feature[field];
+    const original = feature.quantities && feature.quantities[field]
+        ? feature.quantities[field]
+        : null;
+
+    if (value == null && !original) return null;
+
+    return {
+        value: value == null ? null : convertFromCanonical(value, outputUnit, dimension),
+        unit: outputUnit,
+        original
+    };
+}
+
+module.exports = {
+    UNITS,
+    QUANTITY_FIELDS,
+    DAM_QUANTITY_FIELDS,
+    quantityField,
+    canonicalUnit,
+    convertFromCanonical,
+    parseQuantity,
+    toQuantity
+};